@@ -0,0 +1,52 @@
+import { createServer } from 'node:http';
+import { WebSocketServer } from 'ws';
+import { GAME_CONFIG } from '../src/lib/gameConfig.js';
+import { decodeMessage, DEFAULT_SERVER_PORT } from '../src/lib/netProtocol.js';
+import { createRoomManager } from './rooms.js';
+
+/**
+ * Online match server
+ * Runs every room's match at the game's fixed timestep and relays state to
+ * the players. Start it with `npm run server` (PORT sets the port).
+ */
+
+const port = Number(process.env.PORT) || DEFAULT_SERVER_PORT;
+const rooms = createRoomManager();
+
+const httpServer = createServer((request, response) => {
+  response.writeHead(200, { 'Content-Type': 'text/plain' });
+  response.end(`Pong server: ${rooms.getRoomCount()} open match(es)\n`);
+});
+
+const sockets = new WebSocketServer({ server: httpServer });
+
+sockets.on('connection', socket => {
+  socket.on('message', data => {
+    const message = decodeMessage(String(data));
+    if (message) {
+      rooms.handleMessage(socket, message);
+    }
+  });
+  socket.on('close', () => rooms.leave(socket));
+});
+
+// Fixed-timestep loop: catch up on steps missed between timer ticks, but
+// never more than a quarter second after a stall
+const stepMs = GAME_CONFIG.FIXED_TIMESTEP * 1000;
+let lastTime = performance.now();
+let accumulator = 0;
+
+setInterval(() => {
+  const now = performance.now();
+  accumulator += Math.min(now - lastTime, 250);
+  lastTime = now;
+
+  while (accumulator >= stepMs) {
+    rooms.step();
+    accumulator -= stepMs;
+  }
+}, 4);
+
+httpServer.listen(port, () => {
+  console.log(`Pong server listening on ws://localhost:${port}`);
+});
@@ -0,0 +1,280 @@
+import { createSimulation, PHASES } from '../src/lib/simulation.js';
+import { createMatchStats, updateMatchStats } from '../src/lib/matchStats.js';
+import { MATCH_RULES, resolveRules } from '../src/lib/matchRules.js';
+import { clamp } from '../src/lib/physics.js';
+import { generateSeed } from '../src/lib/random.js';
+import { encodeMessage, generateJoinCode, MAX_BUFFERED_INPUTS, normalizeJoinCode, PROTOCOL_VERSION, SNAPSHOT_INTERVAL } from '../src/lib/netProtocol.js';
+
+/**
+ * Rooms for online matches
+ * Each room runs one match on the shared simulation, authoritatively: players
+ * only send their inputs, and the room sends back the state it computed.
+ */
+
+const SIDES = ['left', 'right'];
+
+// Input used for a step when a player's next input has not arrived yet; not
+// moving keeps the paddle where the player's own prediction will put it
+const IDLE_INPUT = { movement: 0, targetY: null, serve: false };
+
+/**
+ * Clean up an input received from a client
+ */
+function sanitizeInput(input) {
+  return {
+    movement: Number.isFinite(input?.movement) ? clamp(input.movement, -1, 1) : 0,
+    targetY: Number.isFinite(input?.targetY) ? input.targetY : null,
+    serve: input?.serve === true
+  };
+}
+
+/**
+ * Create a room
+ * @param {string} code - Join code
+ * @param {object} [options] - Match options chosen by the host
+ * @param {string} [options.rules] - Match rules key (see matchRules.js)
+ * @param {boolean} [options.arcade] - Arcade power-ups
+ * @param {boolean} [options.chaos] - Chaos multi-ball
+ * @returns {object} Room
+ */
+export function createRoom(code, { rules = 'classic', arcade = false, chaos = false } = {}) {
+  // The playfield keeps its default size: both players see the same court
+  const simulation = createSimulation({
+    seed: generateSeed(),
+    rules: resolveRules(typeof rules === 'string' && Object.hasOwn(MATCH_RULES, rules) ? rules : 'classic'),
+    arcade: arcade === true,
+    chaos: chaos === true
+  });
+  const players = { left: null, right: null };
+  const queues = { left: [], right: [] };
+  const acks = { left: 0, right: 0 };
+  // Last input received from each player, for the other client's prediction
+  const received = { left: IDLE_INPUT, right: IDLE_INPUT };
+  let stats = createMatchStats();
+  let statsChanged = true;
+  let steps = 0;
+
+  function send(side, type, data) {
+    players[side]?.send(encodeMessage(type, data));
+  }
+
+  function broadcast(type, data) {
+    SIDES.forEach(side => send(side, type, data));
+  }
+
+  function isStarted() {
+    return Boolean(players.left && players.right);
+  }
+
+  /**
+   * Seat a player
+   * @param {object} socket - Player's socket
+   * @returns {string|null} Side the player controls, or null if the room is full
+   */
+  function addPlayer(socket) {
+    const side = SIDES.find(s => !players[s]);
+    if (!side) return null;
+
+    players[side] = socket;
+    send(side, 'joined', { code, side });
+    if (isStarted()) {
+      broadcast('start', { state: simulation.getState(), stats });
+      statsChanged = false;
+    }
+    return side;
+  }
+
+  /**
+   * Remove a player; the other one is told and the room closes
+   * @param {object} socket - Player's socket
+   */
+  function removePlayer(socket) {
+    const side = SIDES.find(s => players[s] === socket);
+    if (!side) return;
+
+    players[side] = null;
+    SIDES.forEach(s => send(s, 'opponentLeft'));
+  }
+
+  /**
+   * Queue a player's input for the next free step
+   */
+  function receiveInput(side, seq, input) {
+    if (!Number.isInteger(seq) || seq <= acks[side]) return;
+
+    const queue = queues[side];
+    queue.push({ seq, input: sanitizeInput(input) });
+    received[side] = { ...sanitizeInput(input), serve: false, targetY: null };
+    // A client running fast fills the queue; drop the oldest inputs to catch up
+    if (queue.length > MAX_BUFFERED_INPUTS) {
+      queue.splice(0, queue.length - MAX_BUFFERED_INPUTS);
+    }
+  }
+
+  /**
+   * Pause or restart the match at a player's request
+   */
+  function receiveAction(action) {
+    if (action === 'pause') {
+      simulation.togglePause();
+    } else if (action === 'restart') {
+      simulation.resetMatch(generateSeed());
+      stats = createMatchStats();
+      statsChanged = true;
+    } else {
+      return;
+    }
+    sendSnapshot();
+  }
+
+  function takeInput(side) {
+    const next = queues[side].shift();
+    if (!next) return IDLE_INPUT;
+
+    acks[side] = next.seq;
+    return next.input;
+  }
+
+  function sendSnapshot() {
+    broadcast('snapshot', {
+      state: simulation.getState(),
+      acks,
+      inputs: received,
+      ...(statsChanged ? { stats } : {})
+    });
+    statsChanged = false;
+  }
+
+  /**
+   * Advance the match one fixed step once both players are in
+   */
+  function step() {
+    if (!isStarted()) return;
+
+    const previous = simulation.getState();
+    const next = simulation.step({ left: takeInput('left'), right: takeInput('right') });
+    stats = updateMatchStats(stats, previous, next);
+    if (next.events.some(event => event.type === 'score') ||
+        (next.phase === PHASES.GAME_OVER && previous.phase !== PHASES.GAME_OVER)) {
+      statsChanged = true;
+    }
+
+    steps += 1;
+    if (steps % SNAPSHOT_INTERVAL === 0 || statsChanged) {
+      sendSnapshot();
+    }
+  }
+
+  return {
+    code,
+    addPlayer,
+    removePlayer,
+    receiveInput,
+    receiveAction,
+    step
+  };
+}
+
+/**
+ * Keep track of open rooms and which room each socket is in
+ * @param {object} [options] - Manager options
+ * @param {function} [options.random] - Random source for join codes
+ * @returns {object} Room manager
+ */
+export function createRoomManager({ random = Math.random } = {}) {
+  const rooms = new Map();
+  // socket -> {room, side}
+  const seats = new Map();
+
+  function reject(socket, message) {
+    socket.send(encodeMessage('error', { message }));
+  }
+
+  function createMatch(socket, options) {
+    leave(socket);
+
+    let code = generateJoinCode(random);
+    while (rooms.has(code)) {
+      code = generateJoinCode(random);
+    }
+
+    const room = createRoom(code, options);
+    rooms.set(code, room);
+    seats.set(socket, { room, side: room.addPlayer(socket) });
+  }
+
+  function joinMatch(socket, code) {
+    leave(socket);
+
+    const room = rooms.get(code);
+    if (!room) {
+      reject(socket, `No match with code ${code}`);
+      return;
+    }
+
+    const side = room.addPlayer(socket);
+    if (!side) {
+      reject(socket, `Match ${code} is full`);
+      return;
+    }
+    seats.set(socket, { room, side });
+  }
+
+  /**
+   * Take a socket out of its room; rooms close when a player leaves
+   */
+  function leave(socket) {
+    const seat = seats.get(socket);
+    if (!seat) return;
+
+    seats.delete(socket);
+    seat.room.removePlayer(socket);
+    rooms.delete(seat.room.code);
+    for (const [other, otherSeat] of seats) {
+      if (otherSeat.room === seat.room) seats.delete(other);
+    }
+  }
+
+  /**
+   * Handle a decoded message from a socket
+   */
+  function handleMessage(socket, message) {
+    const seat = seats.get(socket);
+
+    if ((message.type === 'create' || message.type === 'join') && message.version !== PROTOCOL_VERSION) {
+      reject(socket, 'This game version cannot play on this server; reload the page');
+      return;
+    }
+
+    switch (message.type) {
+      case 'create':
+        createMatch(socket, message);
+        break;
+      case 'join':
+        joinMatch(socket, normalizeJoinCode(message.code ?? ''));
+        break;
+      case 'input':
+        seat?.room.receiveInput(seat.side, message.seq, message.input);
+        break;
+      case 'action':
+        seat?.room.receiveAction(message.action);
+        break;
+      case 'ping':
+        socket.send(encodeMessage('pong', { time: message.time }));
+        break;
+      default:
+        reject(socket, `Unknown message: ${message.type}`);
+    }
+  }
+
+  function step() {
+    rooms.forEach(room => room.step());
+  }
+
+  return {
+    handleMessage,
+    leave,
+    step,
+    getRoomCount: () => rooms.size
+  };
+}
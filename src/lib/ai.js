@@ -1,4 +1,5 @@
 import { GAME_CONFIG } from './gameConfig.js';
+import { PHASES } from './simulation.js';
 
 /**
  * AI module for the computer opponent
@@ -10,9 +11,10 @@ import { GAME_CONFIG } from './gameConfig.js';
  * @param {object} ball - Current ball state {x, y, vx, vy}
  * @param {object} paddle - Current AI paddle state {y, height}
  * @param {number} canvasHeight - Canvas height for bounds checking
+ * @param {number} dt - Time step in seconds
  * @returns {number} Movement delta for the paddle
  */
-export function calculateAIMovement(ball, paddle, canvasHeight) {
+export function calculateAIMovement(ball, paddle, canvasHeight, dt) {
   // Calculate target position (center paddle on ball)
   const targetY = ball.y - paddle.height / 2;
   const currentY = paddle.y;
@@ -21,13 +23,14 @@ export function calculateAIMovement(ball, paddle, canvasHeight) {
   const distance = targetY - currentY;
   
   // Only move if distance is significant enough
-  if (Math.abs(distance) <= GAME_CONFIG.AI_SPEED) {
+  const step = GAME_CONFIG.AI_SPEED * dt;
+  if (Math.abs(distance) <= step) {
     return 0; // Close enough, don't move
   }
   
   // Move toward target at AI speed
   const direction = Math.sign(distance);
-  const movement = direction * GAME_CONFIG.AI_SPEED;
+  const movement = direction * step;
   
   // Check bounds to prevent going off screen
   const newY = currentY + movement;
@@ -45,129 +48,348 @@ export function calculateAIMovement(ball, paddle, canvasHeight) {
 }
 
 /**
- * Advanced AI that considers ball trajectory for prediction
- * @param {object} ball - Current ball state {x, y, vx, vy}
- * @param {object} paddle - Current AI paddle state {y, height}
- * @param {number} canvasWidth - Canvas width
+ * Predict where the ball will cross a vertical line, following it through
+ * any number of wall bounces
+ * @param {object} ball - Ball state {x, y, vx, vy}
+ * @param {number} targetX - X position to predict for
  * @param {number} canvasHeight - Canvas height
- * @param {number} difficulty - AI difficulty (0.5 = easy, 1.0 = normal, 1.5 = hard)
- * @returns {number} Movement delta for the paddle
+ * @returns {object|null} Prediction {y, time} or null if the ball moves away
  */
-export function calculatePredictiveAIMovement(ball, paddle, canvasWidth, canvasHeight, difficulty = 1.0) {
-  // If ball is moving away from AI, just center the paddle
-  if (ball.vx < 0) {
-    const centerY = (canvasHeight - paddle.height) / 2;
-    const distance = centerY - paddle.y;
-    
-    if (Math.abs(distance) <= GAME_CONFIG.AI_SPEED) {
-      return 0;
-    }
-    
-    return Math.sign(distance) * GAME_CONFIG.AI_SPEED * 0.5; // Slower return to center
+export function predictBallY(ball, targetX, canvasHeight) {
+  const timeToReach = (targetX - ball.x) / ball.vx;
+  if (!Number.isFinite(timeToReach) || timeToReach < 0) {
+    return null;
+  }
+  
+  // Unfold the bounces: the ball travels freely in a band of height `span`
+  // that is mirrored at each wall
+  const ballRadius = GAME_CONFIG.BALL_SIZE / 2;
+  const span = canvasHeight - 2 * ballRadius;
+  if (span <= 0) {
+    return { y: canvasHeight / 2, time: timeToReach };
   }
   
-  // Predict where ball will be when it reaches AI paddle
+  const unfolded = ball.y - ballRadius + ball.vy * timeToReach;
+  const period = 2 * span;
+  const phase = ((unfolded % period) + period) % period;
+  const y = (phase <= span ? phase : period - phase) + ballRadius;
+  
+  return { y, time: timeToReach };
+}
+
+/**
+ * Choose where the AI wants its paddle
+ * @param {object} ball - Ball state as perceived by the AI
+ * @param {object} paddle - AI paddle state {y, height}
+ * @param {object} opponent - Opponent paddle state {y, height}
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {object} traits - Personality traits (see AI_PERSONALITIES)
+ * @param {number} aimError - Current prediction error in px
+ * @returns {object} Target {y (paddle top), approaching}
+ */
+export function calculateAITarget(ball, paddle, opponent, canvasWidth, canvasHeight, traits, aimError = 0) {
+  const centerY = (canvasHeight - paddle.height) / 2;
   const paddleX = canvasWidth - GAME_CONFIG.PADDLE_MARGIN - GAME_CONFIG.PADDLE_WIDTH;
-  const timeToReach = (paddleX - ball.x) / ball.vx;
+  const prediction = ball?.vx > 0 ? predictBallY(ball, paddleX, canvasHeight) : null;
   
-  if (timeToReach <= 0) {
-    // Ball already passed, use basic AI
-    return calculateAIMovement(ball, paddle, canvasHeight);
+  // No ball, or moving away (or already past): drift back toward the center
+  if (!prediction) {
+    return { y: centerY, approaching: false };
   }
   
-  // Predict ball Y position (accounting for wall bounces)
-  let predictedY = ball.y + (ball.vy * timeToReach);
-  let predictedVY = ball.vy;
+  let contactY = prediction.y + aimError;
   
-  // Simple wall bounce prediction (one bounce maximum for performance)
-  const ballRadius = GAME_CONFIG.BALL_SIZE / 2;
-  if (predictedY < ballRadius && predictedVY < 0) {
-    // Will hit top wall
-    const wallHitTime = (ballRadius - ball.y) / ball.vy;
-    const wallHitY = ballRadius;
-    const remainingTime = timeToReach - wallHitTime;
-    predictedY = wallHitY + (-predictedVY * remainingTime);
-  } else if (predictedY > canvasHeight - ballRadius && predictedVY > 0) {
-    // Will hit bottom wall
-    const wallHitTime = (canvasHeight - ballRadius - ball.y) / ball.vy;
-    const wallHitY = canvasHeight - ballRadius;
-    const remainingTime = timeToReach - wallHitTime;
-    predictedY = wallHitY + (-predictedVY * remainingTime);
+  // Aggressive players hit with a paddle edge to send the ball away from the
+  // opponent: the upper edge angles it up, the lower edge angles it down
+  if (traits.edgeAim) {
+    const opponentCenter = opponent.y + opponent.height / 2;
+    const direction = opponentCenter > canvasHeight / 2 ? 1 : -1;
+    contactY += direction * traits.edgeAim * paddle.height * 0.5;
   }
   
-  // Add some imperfection based on difficulty
-  const imperfection = (1 - Math.min(difficulty, 1)) * 50; // Up to 50px error for easy AI
-  predictedY += (Math.random() - 0.5) * imperfection;
+  let targetY = contactY - paddle.height / 2;
   
-  // Calculate target position (center paddle on predicted ball position)
-  const targetY = predictedY - paddle.height / 2;
-  const distance = targetY - paddle.y;
+  // Defensive players hug the center until the ball gets close
+  if (traits.centerBias) {
+    const urgency = 1 / (1 + prediction.time * 2);
+    targetY += (centerY - targetY) * traits.centerBias * (1 - urgency);
+  }
   
-  // Apply difficulty modifier to AI speed
-  const aiSpeed = GAME_CONFIG.AI_SPEED * difficulty;
+  return { y: targetY, approaching: true };
+}
+
+/**
+ * Advanced AI that considers ball trajectory for prediction
+ * @param {object} ball - Ball state as perceived by the AI {x, y, vx, vy}
+ * @param {object} paddle - Current AI paddle state {y, height}
+ * @param {object} opponent - Opponent paddle state {y, height}
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {object} settings - Difficulty settings (see AI_DIFFICULTIES)
+ * @param {object} traits - Personality traits (see AI_PERSONALITIES)
+ * @param {number} aimError - Current prediction error in px
+ * @param {number} dt - Time step in seconds
+ * @returns {number} Movement delta for the paddle
+ */
+export function calculatePredictiveAIMovement(ball, paddle, opponent, canvasWidth, canvasHeight, settings, traits, aimError, dt) {
+  const target = calculateAITarget(ball, paddle, opponent, canvasWidth, canvasHeight, traits, aimError);
+  const distance = target.y - paddle.y;
   
-  if (Math.abs(distance) <= aiSpeed) {
-    return 0;
+  // Apply difficulty modifier to AI speed; returning to center is more relaxed
+  const speedScale = target.approaching ? 1 : traits.returnSpeed;
+  const aiStep = GAME_CONFIG.AI_SPEED * settings.multiplier * speedScale * dt;
+  
+  if (Math.abs(distance) <= aiStep) {
+    return distance;
   }
   
-  return Math.sign(distance) * aiSpeed;
+  return Math.sign(distance) * aiStep;
 }
 
 /**
  * Get AI difficulty settings
+ * - multiplier: paddle speed relative to GAME_CONFIG.AI_SPEED
+ * - reactionTime: seconds before the AI notices what the ball did
+ * - predictionError: max aim error in px, drawn once per approach
  */
 export const AI_DIFFICULTIES = {
   easy: {
     name: 'Easy',
     multiplier: 0.6,
+    reactionTime: 0.3,
+    predictionError: 60,
     description: 'Slower AI with prediction errors'
   },
   normal: {
     name: 'Normal',
     multiplier: 1.0,
+    reactionTime: 0.18,
+    predictionError: 28,
     description: 'Balanced AI opponent'
   },
   hard: {
     name: 'Hard',
     multiplier: 1.3,
+    reactionTime: 0.1,
+    predictionError: 12,
     description: 'Fast AI with prediction'
   },
   impossible: {
     name: 'Impossible',
     multiplier: 1.8,
+    reactionTime: 0,
+    predictionError: 0,
     description: 'Perfect AI - good luck!'
   }
 };
 
+/**
+ * AI personalities, combined with any difficulty
+ * - reactionScale: multiplies the difficulty's reaction time
+ * - edgeAim: 0-1, how far off-center the AI tries to hit the ball
+ * - centerBias: 0-1, how strongly the AI stays centered while the ball is far
+ * - returnSpeed: speed multiplier when drifting back to center
+ * - misreadChance: chance per approach of badly misjudging the ball
+ * - misreadError: size of a misread in px
+ */
+export const AI_PERSONALITIES = {
+  balanced: {
+    name: 'Balanced',
+    description: 'Tracks the ball and returns it safely',
+    reactionScale: 1,
+    edgeAim: 0,
+    centerBias: 0,
+    returnSpeed: 0.5,
+    misreadChance: 0,
+    misreadError: 0
+  },
+  aggressive: {
+    name: 'Aggressive',
+    description: 'Aims for the paddle edges to make sharp angles',
+    reactionScale: 0.9,
+    edgeAim: 0.55,
+    centerBias: 0,
+    returnSpeed: 0.5,
+    misreadChance: 0.05,
+    misreadError: 40
+  },
+  defensive: {
+    name: 'Defensive',
+    description: 'Stays centered and plays it safe',
+    reactionScale: 1.1,
+    edgeAim: 0,
+    centerBias: 0.6,
+    returnSpeed: 1,
+    misreadChance: 0,
+    misreadError: 0
+  },
+  erratic: {
+    name: 'Erratic',
+    description: 'Quick, but sometimes misreads the ball completely',
+    reactionScale: 0.7,
+    edgeAim: 0.2,
+    centerBias: 0,
+    returnSpeed: 0.8,
+    misreadChance: 0.2,
+    misreadError: 120
+  }
+};
+
+/**
+ * Pick the ball the right paddle should defend: the one that reaches it first
+ * @param {object[]} balls - Balls in play
+ * @param {number} canvasWidth - Canvas width
+ * @returns {object|null} Ball to track, or null when there are none
+ */
+export function selectTargetBall(balls, canvasWidth) {
+  const paddleX = canvasWidth - GAME_CONFIG.PADDLE_MARGIN - GAME_CONFIG.PADDLE_WIDTH;
+  let target = null;
+  let soonest = Infinity;
+  
+  for (const ball of balls) {
+    const time = ball.vx > 0 ? (paddleX - ball.x) / ball.vx : Infinity;
+    if (time >= 0 && time < soonest) {
+      soonest = time;
+      target = ball;
+    }
+  }
+  
+  // Nothing coming: keep an eye on the ball nearest to the AI's side
+  return target ?? balls.reduce((nearest, ball) => (!nearest || ball.x > nearest.x ? ball : nearest), null);
+}
+
+/**
+ * Mirror balls left to right, so an AI on the left paddle can play as if it
+ * were on the right
+ */
+function mirrorBalls(balls, canvasWidth) {
+  return balls.map(ball => ({ ...ball, x: canvasWidth - ball.x, vx: -ball.vx }));
+}
+
 /**
  * Create an AI controller with specified difficulty
+ * The AI perceives the balls with a reaction delay, defends the one that
+ * arrives first, predicts its full trajectory and commits to one (possibly
+ * wrong) read per approach
  * @param {string} difficulty - Difficulty level key
+ * @param {function} [random] - Random number source; pass the simulation's
+ *   seeded generator to keep matches reproducible
+ * @param {string} [personality] - Personality key
+ * @param {string} [side] - Paddle the AI plays ('left' or 'right')
  * @returns {object} AI controller with update method
  */
-export function createAI(difficulty = 'normal') {
+export function createAI(difficulty = 'normal', random = Math.random, personality = 'balanced', side = 'right') {
   const difficultySettings = AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.normal;
+  const traits = AI_PERSONALITIES[personality] || AI_PERSONALITIES.balanced;
+  
+  // Balls seen over the last reaction time, oldest first
+  const perceived = [];
+  let approaching = false;
+  let targetId = null;
+  let aimError = 0;
+  // Seconds to wait before serving, drawn when the AI's serve comes up
+  let serveDelay = null;
+  
+  /**
+   * Record the current balls and return what the AI has noticed so far
+   */
+  function perceive(balls, dt) {
+    const reactionSteps = Math.round(difficultySettings.reactionTime * traits.reactionScale / dt);
+    perceived.push(balls);
+    while (perceived.length > reactionSteps + 1) {
+      perceived.shift();
+    }
+    return perceived[0];
+  }
+  
+  /**
+   * Draw a new aim error each time a ball starts coming toward the AI,
+   * either off the opponent's paddle, from a fresh serve or because the AI
+   * switched to defending a different ball
+   */
+  function updateRead(ball) {
+    const nowApproaching = ball?.vx > 0;
+    const switched = ball?.id !== targetId;
+    targetId = ball?.id ?? null;
+    
+    if (nowApproaching && (!approaching || switched)) {
+      aimError = (random() * 2 - 1) * difficultySettings.predictionError;
+      if (random() < traits.misreadChance) {
+        aimError += (random() < 0.5 ? -1 : 1) * traits.misreadError;
+      }
+    }
+    approaching = nowApproaching;
+  }
+  
+  const opponentSide = side === 'left' ? 'right' : 'left';
   
   return {
     difficulty: difficultySettings,
+    personality: traits,
+    side,
     
     /**
      * Update AI paddle position
-     * @param {object} ball - Current ball state
+     * @param {object[]} balls - Current balls in play
      * @param {object} paddle - Current paddle state
      * @param {number} canvasWidth - Canvas width
      * @param {number} canvasHeight - Canvas height
+     * @param {number} dt - Time step in seconds
+     * @param {object} [opponent] - Opponent paddle state, used for aiming
      * @returns {number} New paddle Y position
      */
-    update(ball, paddle, canvasWidth, canvasHeight) {
+    update(balls, paddle, canvasWidth, canvasHeight, dt, opponent = paddle) {
+      const court = side === 'left' ? mirrorBalls(balls, canvasWidth) : balls;
+      const seenBall = selectTargetBall(perceive(court, dt), canvasWidth);
+      updateRead(seenBall);
+      
       const movement = calculatePredictiveAIMovement(
-        ball, 
+        seenBall, 
         paddle, 
+        opponent,
         canvasWidth, 
         canvasHeight, 
-        difficultySettings.multiplier
+        difficultySettings,
+        traits,
+        aimError,
+        dt
       );
       
       return Math.max(0, Math.min(paddle.y + movement, canvasHeight - paddle.height));
+    },
+    
+    /**
+     * Decide whether to serve this step; the AI waits a random moment first
+     * @param {object} state - Current simulation state
+     * @param {number} dt - Time step in seconds
+     * @returns {boolean} True to serve now
+     */
+    wantsToServe(state, dt) {
+      if (state.phase !== PHASES.SERVING || state.server !== side) {
+        serveDelay = null;
+        return false;
+      }
+      
+      if (serveDelay === null) {
+        serveDelay = GAME_CONFIG.AI_SERVE_DELAY_MIN +
+          random() * (GAME_CONFIG.AI_SERVE_DELAY_MAX - GAME_CONFIG.AI_SERVE_DELAY_MIN);
+      }
+      serveDelay -= dt;
+      return serveDelay <= 0;
+    },
+    
+    /**
+     * Build the AI paddle's simulation input for the next step
+     * @param {object} state - Current simulation state
+     * @param {number} dt - Time step in seconds
+     * @returns {object} Paddle input {targetY, serve}
+     */
+    getInput(state, dt) {
+      return {
+        targetY: this.update(state.balls, state.paddles[side], state.field.width, state.field.height, dt, state.paddles[opponentSide]),
+        serve: this.wantsToServe(state, dt)
+      };
     }
   };
 }
@@ -0,0 +1,99 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { buildScene } from './renderScene.js';
+import { applyViewport } from './viewport.js';
+
+/**
+ * Canvas 2D renderer: the default backend
+ * @returns {object} Renderer {key, element, resize, render, destroy} (see renderers.js)
+ * @throws {Error} If the browser has no 2D canvas
+ */
+export function createCanvasRenderer() {
+  const element = document.createElement('canvas');
+  const context = element.getContext('2d');
+  if (!context) {
+    throw new Error('Canvas 2D is not available');
+  }
+
+  /**
+   * Size the pixel buffer to the canvas store (CSS pixels times DPR)
+   * @param {object} canvasSize - {width, height, dpr}
+   */
+  function resize({ width, height, dpr }) {
+    element.width = Math.floor(width * dpr);
+    element.height = Math.floor(height * dpr);
+    // The CSS height follows the width, so the view keeps its shape if max-width squeezes it
+    element.style.width = width + 'px';
+  }
+
+  function drawShape(shape) {
+    switch (shape.type) {
+      case 'rect':
+        context.globalAlpha = shape.opacity ?? 1;
+        context.fillStyle = shape.color;
+        context.fillRect(shape.x, shape.y, shape.width, shape.height);
+        context.globalAlpha = 1;
+        break;
+      case 'circle':
+        context.beginPath();
+        context.arc(shape.x, shape.y, shape.radius, 0, Math.PI * 2);
+        context.fillStyle = shape.color;
+        context.fill();
+        break;
+      case 'text':
+        context.font = shape.font;
+        context.fillStyle = shape.color;
+        context.textAlign = shape.align;
+        context.textBaseline = shape.baseline;
+        context.fillText(shape.text, shape.x, shape.y);
+        break;
+    }
+  }
+
+  /**
+   * Draw one frame
+   * @param {object} snapshot - Snapshot from createRenderSnapshot
+   */
+  function render(snapshot) {
+    const scene = buildScene(snapshot);
+
+    // Clear the whole canvas, including any bars around the playfield
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.fillStyle = scene.background;
+    context.fillRect(0, 0, element.width, element.height);
+
+    // Everything else is drawn in playfield units through the viewport
+    applyViewport(context, snapshot.viewport);
+    scene.shapes.forEach(drawShape);
+
+    if (scene.post.scanlines > 0) {
+      drawScanlines(scene.post.scanlines, snapshot.viewport.dpr);
+    }
+  }
+
+  /**
+   * CRT filter: darken every third CSS pixel row over the whole canvas
+   */
+  function drawScanlines(darkness, dpr) {
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.globalAlpha = darkness;
+    context.fillStyle = '#000';
+    for (let y = 0; y < element.height; y += 3 * dpr) {
+      context.fillRect(0, y, element.width, dpr);
+    }
+    context.globalAlpha = 1;
+  }
+
+  function destroy() {
+    element.remove();
+  }
+
+  resize({ width: GAME_CONFIG.DEFAULT_WIDTH, height: GAME_CONFIG.DEFAULT_HEIGHT, dpr: 1 });
+
+  return {
+    key: 'canvas',
+    element,
+    resize,
+    render,
+    destroy
+  };
+}
@@ -0,0 +1,202 @@
+import { GAME_CONFIG } from './gameConfig.js';
+
+/**
+ * Visual effects
+ * Cosmetic extras driven by simulation events: a fading ball trail that
+ * grows with speed, spark bursts where the ball hits a paddle or wall, a
+ * glow on the paddle that was hit, a short shake when a point is scored and
+ * an optional CRT filter. Effects use Math.random, never the match RNG, so
+ * replays and online matches play out exactly the same with them on or off.
+ */
+
+/**
+ * Effect levels for the "effects intensity" setting
+ * - intensity: scale for spark counts, trail length, glow and shake (0 turns everything off)
+ * - crt: add the scanline and bloom filter
+ */
+export const EFFECT_LEVELS = {
+  off: { name: 'Off', intensity: 0, crt: false },
+  subtle: { name: 'Subtle', intensity: 0.5, crt: false },
+  full: { name: 'Full', intensity: 1, crt: false },
+  crt: { name: 'Full + CRT filter', intensity: 1, crt: true }
+};
+
+/**
+ * Check whether the browser asks for reduced motion
+ * @returns {boolean} True when effects should stay off
+ */
+export function prefersReducedMotion() {
+  return typeof window !== 'undefined' &&
+    window.matchMedia?.('(prefers-reduced-motion: reduce)').matches === true;
+}
+
+/**
+ * Effect level in force: reduced-motion preferences switch effects off
+ * @param {string} key - Key of EFFECT_LEVELS
+ * @param {boolean} reducedMotion - Whether the browser asks for reduced motion
+ * @returns {object} Level from EFFECT_LEVELS
+ */
+export function resolveEffectLevel(key, reducedMotion) {
+  if (reducedMotion) return EFFECT_LEVELS.off;
+  return EFFECT_LEVELS[key] ?? EFFECT_LEVELS.full;
+}
+
+/**
+ * Create the effects layer
+ * @returns {object} Effects {setLevel, handleEvents, update, getFrame, clear}
+ */
+export function createEffects() {
+  const config = GAME_CONFIG.EFFECTS;
+  let level = EFFECT_LEVELS.full;
+  let time = 0;
+  // Sparks in flight: {x, y, vx, vy, life, maxLife}
+  let sparks = [];
+  // Recent positions per ball id, oldest first: [{x, y, time}]
+  const trails = new Map();
+  // Seconds of glow left per paddle, and of shake for the court
+  const flash = { left: 0, right: 0 };
+  let shake = 0;
+
+  /**
+   * Drop everything on screen; the engine calls this whenever it swaps the
+   * match on screen (new match, replay, demo, online) or jumps in a replay
+   */
+  function clear() {
+    sparks = [];
+    trails.clear();
+    flash.left = 0;
+    flash.right = 0;
+    shake = 0;
+  }
+
+  /**
+   * Use another effect level; switching effects off clears them at once
+   * @param {object} nextLevel - Level from EFFECT_LEVELS
+   */
+  function setLevel(nextLevel) {
+    level = nextLevel;
+    if (!level.intensity) clear();
+  }
+
+  /**
+   * Throw sparks from a point, spread around a direction
+   */
+  function burst(x, y, count, direction, spread) {
+    for (let i = 0; i < count; i++) {
+      const angle = direction + (Math.random() - 0.5) * spread;
+      const speed = config.SPARK_SPEED * (0.4 + Math.random() * 0.6);
+      const life = config.SPARK_LIFE * (0.6 + Math.random() * 0.4);
+      sparks.push({ x, y, vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed, life, maxLife: life });
+    }
+  }
+
+  /**
+   * Start the effects for one simulation step's events
+   * @param {object[]} events - Step events (see simulation.js)
+   */
+  function handleEvents(events) {
+    const { intensity } = level;
+    if (!intensity) return;
+
+    for (const event of events) {
+      switch (event.type) {
+        case 'paddle': {
+          // Sparks follow the ball back into the court; hits off center bend
+          // the ball more and throw more sparks
+          const offCenter = ((event.hitPosition ?? 0.5) - 0.5) * 2;
+          const bend = offCenter * GAME_CONFIG.MAX_REFLECTION_ANGLE;
+          const direction = event.side === 'left' ? bend : Math.PI - bend;
+          burst(event.x, event.y, Math.round(config.PADDLE_SPARKS * intensity * (1 + Math.abs(offCenter))), direction, Math.PI * 0.7);
+          flash[event.side] = config.FLASH_TIME;
+          break;
+        }
+        case 'wall':
+          burst(event.x, event.y, Math.round(config.WALL_SPARKS * intensity), event.wall === 'top' ? Math.PI / 2 : -Math.PI / 2, Math.PI * 0.8);
+          break;
+        case 'shieldBlock':
+          burst(event.x, event.y, Math.round(config.PADDLE_SPARKS * intensity), event.side === 'left' ? 0 : Math.PI, Math.PI * 0.7);
+          break;
+        case 'score':
+          shake = config.SHAKE_TIME;
+          break;
+      }
+    }
+  }
+
+  /**
+   * Advance the effects by one rendered frame
+   * @param {number} dt - Frame time in seconds
+   * @param {object} state - Simulation state being drawn
+   */
+  function update(dt, state) {
+    time += dt;
+    flash.left = Math.max(0, flash.left - dt);
+    flash.right = Math.max(0, flash.right - dt);
+    shake = Math.max(0, shake - dt);
+
+    sparks = sparks.filter(spark => {
+      spark.life -= dt;
+      spark.x += spark.vx * dt;
+      spark.y += spark.vy * dt;
+      return spark.life > 0;
+    });
+
+    if (!level.intensity) return;
+
+    const seen = new Set();
+    for (const ball of state.balls) {
+      seen.add(ball.id);
+      let trail = trails.get(ball.id) ?? [];
+      const last = trail[trail.length - 1];
+      // A ball put back for a serve starts a new trail
+      if (last && Math.hypot(ball.x - last.x, ball.y - last.y) > state.field.width / 4) {
+        trail = [];
+      }
+      if (!last || last.x !== ball.x || last.y !== ball.y) {
+        trail.push({ x: ball.x, y: ball.y, time });
+      }
+
+      // Faster balls leave longer trails
+      const speed = Math.hypot(ball.vx, ball.vy);
+      const keep = config.TRAIL_TIME * level.intensity * Math.min(1, speed / GAME_CONFIG.BALL_SPEED_MAX);
+      while (trail.length && time - trail[0].time > keep) {
+        trail.shift();
+      }
+      trails.set(ball.id, trail);
+    }
+    for (const id of Array.from(trails.keys())) {
+      if (!seen.has(id)) trails.delete(id);
+    }
+  }
+
+  /**
+   * What to draw this frame, in playfield units
+   * @returns {object} {trails: [[{x, y}]] oldest point first, sparks: [{x, y, alpha}],
+   *   flash: {left, right} glow strength (0-1), shake: {x, y} court offset, crt}
+   */
+  function getFrame() {
+    const { intensity } = level;
+    const shakeDistance = shake > 0 ? config.SHAKE_DISTANCE * intensity * (shake / config.SHAKE_TIME) : 0;
+    return {
+      trails: Array.from(trails.values(), trail => trail.map(({ x, y }) => ({ x, y }))),
+      sparks: sparks.map(spark => ({ x: spark.x, y: spark.y, alpha: spark.life / spark.maxLife })),
+      flash: {
+        left: (flash.left / config.FLASH_TIME) * intensity,
+        right: (flash.right / config.FLASH_TIME) * intensity
+      },
+      shake: {
+        x: (Math.random() - 0.5) * 2 * shakeDistance,
+        y: (Math.random() - 0.5) * 2 * shakeDistance
+      },
+      crt: level.crt
+    };
+  }
+
+  return {
+    setLevel,
+    handleEvents,
+    update,
+    getFrame,
+    clear
+  };
+}
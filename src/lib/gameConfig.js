@@ -2,7 +2,12 @@
  * Game configuration constants
  */
 export const GAME_CONFIG = {
-  // Canvas dimensions
+  // Logical playfield: physics, the AI and replays work in these units
+  // whatever the size of the canvas (see viewport.js)
+  FIELD_WIDTH: 800,
+  FIELD_HEIGHT: 500,
+
+  // Canvas dimensions in CSS pixels
   DEFAULT_WIDTH: 800,
   DEFAULT_HEIGHT: 500,
   MIN_WIDTH: 480,
@@ -10,26 +15,59 @@ export const GAME_CONFIG = {
   ASPECT_RATIO: 0.625, // height/width ratio (16:10)
   MAX_DPR: 2,
 
+  // Simulation timing
+  FIXED_TIMESTEP: 1 / 120, // seconds per physics step
+  MAX_FRAME_TIME: 0.25, // longest frame (in seconds) fed to the accumulator
+  MAX_STEPS_PER_FRAME: 8, // cap on catch-up steps after a hitch
+  MAX_COLLISIONS_PER_STEP: 4, // bounces resolved within a single step
+
   // Paddle settings
   PADDLE_WIDTH: 12,
-  PADDLE_HEIGHT_RATIO: 0.18, // height relative to canvas
-  PADDLE_SPEED: 7,
+  PADDLE_HEIGHT_RATIO: 0.18, // height relative to the playfield
+  PADDLE_SPEED: 420, // px per second
   PADDLE_MARGIN: 20,
   MIN_PADDLE_HEIGHT: 60,
 
   // Ball settings
   BALL_SIZE: 10,
-  BALL_SPEED_START: 5.2,
-  BALL_SPEED_MAX: 13.0,
+  BALL_SPEED_START: 312, // px per second
+  BALL_SPEED_MAX: 780, // px per second
   BALL_SPEED_INCREASE: 1.06,
-  MIN_BALL_SPEED_Y: 0.9,
-  MIN_BALL_SPEED_Y_INITIAL: 1.2,
+  MIN_BALL_SPEED_Y: 54, // px per second
+  MIN_BALL_SPEED_Y_INITIAL: 72, // px per second
 
   // AI settings
-  AI_SPEED: 5.5,
+  AI_SPEED: 330, // px per second
+  AI_SERVE_DELAY_MIN: 0.4, // seconds before the AI serves
+  AI_SERVE_DELAY_MAX: 1.6,
+
+  // Attract demo (AI vs AI)
+  ATTRACT: {
+    IDLE_TIME: 30, // seconds without input before the demo starts
+    NEXT_MATCH_DELAY: 5 // seconds a finished demo match stays on screen
+  },
 
   // Game rules
   WIN_SCORE: 11,
+  SERVE_COUNTDOWN: 3, // seconds before the ball is served automatically
+  POINT_PAUSE: 1, // seconds between a point and the next serve
+  CHAOS_BALLS: 3, // balls served at once in chaos mode
+
+  // Arcade mode power-ups (see powerUps.js)
+  ARCADE: {
+    SPAWN_INTERVAL: 7, // seconds of rally between pickups
+    MAX_PICKUPS: 2, // pickups on the court at once
+    PICKUP_RADIUS: 14,
+    SHIELD_X: 4, // shield wall distance from the goal line
+    SHIELD_WIDTH: 4,
+    SPLIT_ANGLE: 0.35 // radians between balls from a multi-ball split
+  },
+
+  // Sound effects (see sound.js)
+  SOUND: {
+    VOLUME: 0.5, // default master volume (0-1)
+    TONE_GAIN: 0.25 // loudness of a single blip before the master volume
+  },
 
   // Physics
   MAX_REFLECTION_ANGLE: Math.PI * 0.35, // ~20 degrees
@@ -39,43 +77,94 @@ export const GAME_CONFIG = {
   NET_SEGMENT_HEIGHT: 14,
   NET_OPACITY: 0.6,
 
-  // Colors (using CSS color names for easier theming)
-  COLORS: {
-    background: '#0c0f13',
-    net: '#2e3440',
-    paddle: '#e5e9f0',
-    ball: '#e5e9f0',
-    score: '#e5e9f0',
-    pauseText: '#d8dee9',
-    winText: '#a3be8c'
+  // Visual effects (see effects.js); counts and sizes are at full intensity
+  EFFECTS: {
+    TRAIL_TIME: 0.1, // seconds of ball positions in the trail at top speed
+    PADDLE_SPARKS: 12, // sparks per paddle hit, up to twice as many at the paddle ends
+    WALL_SPARKS: 5, // sparks per wall bounce
+    SPARK_SPEED: 260, // px per second
+    SPARK_LIFE: 0.45, // seconds
+    SPARK_SIZE: 3,
+    FLASH_TIME: 0.18, // seconds a paddle glows after a hit
+    SHAKE_TIME: 0.3, // seconds the court shakes after a point
+    SHAKE_DISTANCE: 8, // px
+    SCANLINES: 0.22, // darkness of the CRT filter's scanlines (0-1)
+    BLOOM: 0.18 // opacity of the CRT filter's glow around the paddles and balls
   },
 
-  // Font settings
-  FONTS: {
-    score: 'bold 42px system-ui, -apple-system, Segoe UI, Roboto',
-    pause: 'bold 22px system-ui, -apple-system, Segoe UI, Roboto',
-    gameOver: 'bold 26px system-ui, -apple-system, Segoe UI, Roboto'
-  },
+  // Colors and fonts come from the active theme (see themes.js)
 
-  // Input keys
+  // Default key bindings, as KeyboardEvent.code values so they follow the
+  // physical key position on any layout; players can rebind them (see keyBindings.js)
+  // Keys shared by both players
   KEYS: {
-    up: ['arrowup', 'w'],
-    down: ['arrowdown', 's'],
-    pause: [' ', 'spacebar'],
-    restart: ['r']
-  }
-};
+    pause: ['Space'],
+    restart: ['KeyR']
+  },
 
-/**
- * Get all valid keys for a specific action
- */
-export function getKeysForAction(action) {
-  return GAME_CONFIG.KEYS[action] || [];
-}
+  // Movement and serve keys per paddle (in vs AI mode both sets drive the left paddle)
+  PLAYER_KEYS: {
+    left: {
+      up: ['KeyW'],
+      down: ['KeyS'],
+      serve: ['KeyD']
+    },
+    right: {
+      up: ['ArrowUp'],
+      down: ['ArrowDown'],
+      serve: ['ArrowLeft']
+    }
+  },
 
-/**
- * Check if a key corresponds to a specific action
- */
-export function isKeyForAction(key, action) {
-  return getKeysForAction(action).includes(key.toLowerCase());
-}
+  // Gamepad settings (standard mapping)
+  GAMEPAD: {
+    DEADZONE: 0.15, // stick travel ignored around the center
+    STICK_AXIS: 1, // left stick, vertical
+    BUTTONS: {
+      up: 12, // d-pad up
+      down: 13, // d-pad down
+      serve: 0, // A / Cross
+      pause: 9, // Start
+      restart: 8 // Select / Back
+    }
+  },
+
+  // Touch and pointer controls: each half of the canvas drives its own paddle
+  TOUCH: {
+    DRAG_SCALE: 1.5, // paddle travel per unit of finger travel
+    TAP_TIME: 250, // ms a press can last and still count as a tap
+    TAP_DISTANCE: 12 // px a press can drift and still count as a tap
+  },
+
+  // Game modes and the names shown for each paddle
+  MODES: {
+    // vsAI: the player at this screen plays the left paddle against the AI
+    ai: {
+      name: 'Player vs AI',
+      vsAI: true,
+      players: { left: 'Player', right: 'AI' }
+    },
+    pvp: {
+      name: 'Player vs Player',
+      players: { left: 'Player 1', right: 'Player 2' }
+    },
+    // The right paddle is named after the ladder opponent being played
+    ladder: {
+      name: 'Tournament Ladder',
+      vsAI: true,
+      players: { left: 'Player', right: 'Opponent' }
+    },
+    // Hidden modes are set by the engine, not picked from the mode list
+    online: {
+      name: 'Online',
+      hidden: true,
+      players: { left: 'Host', right: 'Guest' }
+    },
+    // Attract demo: both paddles played by the AI
+    demo: {
+      name: 'Demo',
+      hidden: true,
+      players: { left: 'Left AI', right: 'Right AI' }
+    }
+  }
+};
@@ -1,50 +1,217 @@
 import { get } from 'svelte/store';
-import { canvas, paddles, ball, gameState, gameActions } from './gameStore.js';
+import { canvas, paddles, balls, gameState, replayState, gameMode, gamepads, keyBindings, keyboardLayout, soundSettings, effectsSettings, theme, playerNames, matchStats, matchHistory, onlineState, attractState, ladderState, gameActions } from './gameStore.js';
 import { GAME_CONFIG } from './gameConfig.js';
-import { 
-  updateBallPosition, 
-  checkPaddleCollision, 
-  checkWallCollision, 
-  checkScoring,
-  calculateReflection,
-  updatePaddlePosition
-} from './physics.js';
-import { createAI } from './ai.js';
+import { createSimulation, PHASES } from './simulation.js';
+import { clamp } from './physics.js';
+import { generateSeed } from './random.js';
+import { createAI, AI_DIFFICULTIES, AI_PERSONALITIES } from './ai.js';
+import { MATCH_RULES, resolveRules } from './matchRules.js';
 import { createInputHandler } from './inputHandler.js';
+import { createReplayRecorder, resumeReplayRecorder, createReplayPlayer } from './replay.js';
+import { createSoundPlayer } from './sound.js';
+import { createEffects, resolveEffectLevel, prefersReducedMotion, EFFECT_LEVELS } from './effects.js';
+import { createMatchStats, updateMatchStats } from './matchStats.js';
+import { createMatchRecord, loadMatchRecords, saveMatchRecord, setMatchInitials, importMatchRecords, normalizeInitials } from './history.js';
+import { resolveTheme } from './themes.js';
+import { createDefaultBindings, rebindKey, loadKeyboardLayout, getKeysForAction, formatKey } from './keyBindings.js';
+import { saveSettings, saveMatchSnapshot, loadMatchSnapshot, clearMatchSnapshot, loadLadderProgress, saveLadderProgress } from './settings.js';
+import { LADDER, createLadderProgress, recordLadderMatch, getRungStatus, getNextRung } from './ladder.js';
+import { createViewport, toFieldDistance } from './viewport.js';
+import { createRenderSnapshot } from './renderScene.js';
+import { createNetClient } from './netClient.js';
+import { createOnlineMatch } from './onlineMatch.js';
+import { createRemotePlayer } from './remotePlayer.js';
+import { normalizeJoinCode, PROTOCOL_VERSION } from './netProtocol.js';
+
+/**
+ * Pick a random AI for one side of the attract demo
+ * @returns {object} {difficulty, personality}
+ */
+function pickAttractPlayer() {
+  const pick = keys => keys[Math.floor(Math.random() * keys.length)];
+  return {
+    difficulty: pick(Object.keys(AI_DIFFICULTIES)),
+    personality: pick(Object.keys(AI_PERSONALITIES))
+  };
+}
 
 /**
  * Main game engine that orchestrates all game systems
+ * Options other than the seed are the user settings (see settings.js); the
+ * engine saves them again whenever one changes
+ * @param {object} [options] - Engine options
+ * @param {number|null} [options.seed] - Fixed seed for every match (e.g. from the URL);
+ *   when omitted each match gets a fresh seed
+ * @param {string|object} [options.rules] - Match rules key or object (see matchRules.js)
+ * @param {boolean} [options.arcade] - Start with arcade power-ups enabled
+ * @param {boolean} [options.chaos] - Start with chaos mode (several balls per serve)
+ * @param {string} [options.mode] - Game mode ('ai', 'pvp' or 'ladder')
+ * @param {string} [options.difficulty] - AI difficulty key
+ * @param {string} [options.personality] - AI personality key
+ * @param {string|object} [options.theme] - Theme key or custom theme (see themes.js)
+ * @param {object} [options.bindings] - Key bindings (see keyBindings.js)
+ * @param {number} [options.volume] - Sound volume (0-1)
+ * @param {boolean} [options.muted] - Start with sound muted
+ * @param {string} [options.effects] - Effects intensity key (see effects.js)
  */
-export function createGameEngine() {
+export function createGameEngine(options = {}) {
+  const fixedSeed = options.seed ?? null;
   let animationFrame = null;
   let inputHandler = null;
-  let ai = createAI('normal');
-  let playerMovement = 0;
-  let renderFunction = null;
-  let canvasContext = null;
+  let rulesSetting = options.rules ?? 'classic';
+  let matchRules = resolveRules(rulesSetting);
+  let arcade = options.arcade ?? false;
+  let chaos = options.chaos ?? false;
+  let simulation = createSimulation({
+    seed: fixedSeed ?? generateSeed(),
+    rules: matchRules,
+    arcade,
+    chaos
+  });
+  let mode = options.mode ?? get(gameMode);
+  let aiDifficulty = options.difficulty ?? 'normal';
+  let aiPersonality = options.personality ?? 'balanced';
+  let ai = createAI(aiDifficulty, simulation.random, aiPersonality);
+  // Tournament ladder progress and the rung being played or next up (see ladder.js)
+  let ladderProgress = loadLadderProgress();
+  let ladderRung = getNextRung(ladderProgress);
+  let recorder = null;
+  let stats = createMatchStats();
+  // Online match in progress: {net, side, code, remote, match, savedGameOver}, or null
+  let online = null;
+  let networkLag = { latency: 0, jitter: 0 };
+  // Attract demo in progress: {ais: {left, right}, saved: {state, recorder, stats}, nextMatchIn}, or null
+  let attract = null;
+  // Time of the last player input (ms), for starting the demo when nobody is playing
+  let lastActivity = null;
+  gameMode.set(mode);
+  ladderState.set({ progress: ladderProgress, rung: ladderRung, lastResult: null });
+  theme.set(resolveTheme(options.theme));
+  keyBindings.set(options.bindings ?? createDefaultBindings());
+  soundSettings.set({
+    volume: options.volume ?? GAME_CONFIG.SOUND.VOLUME,
+    muted: options.muted ?? false
+  });
+  const sound = createSoundPlayer(get(soundSettings));
+  effectsSettings.set({
+    level: EFFECT_LEVELS[options.effects] ? options.effects : 'full',
+    reducedMotion: prefersReducedMotion()
+  });
+  const effects = createEffects();
+  effects.setLevel(resolveEffectLevel(get(effectsSettings).level, get(effectsSettings).reducedMotion));
+  // Follows the browser's reduced-motion preference while the engine runs
+  let reducedMotionQuery = null;
+  let replayPlayer = null;
+  let replayPlaying = false;
+  let replaySpeed = 1;
+  let unsubscribeBindings = null;
+  let movement = { left: 0, right: 0 };
+  let serveRequested = { left: false, right: false };
+  // Touch drag per half of the canvas since the last step, in field pixels
+  let touchDrag = { left: 0, right: 0 };
+  let renderer = null;
+  let lastFrameTime = null;
+  let accumulator = 0;
+  let previousState = null;
+  
+  /**
+   * Check whether the simulation should advance
+   */
+  function isRunning() {
+    const state = simulation.getState();
+    return !state.paused && state.phase !== PHASES.GAME_OVER;
+  }
+  
+  /**
+   * State currently on screen: the replay being watched, or the live match
+   */
+  function getDisplayedState() {
+    return replayPlayer ? replayPlayer.getState() : simulation.getState();
+  }
+  
+  /**
+   * Blend the previous and current physics states for rendering
+   * @param {number} alpha - Fraction of a step elapsed since the last update (0-1)
+   * @returns {object} Simulation state with interpolated paddle and ball positions;
+   *   balls that did not exist in the previous step are drawn where they are
+   */
+  function interpolateState(alpha) {
+    const current = getDisplayedState();
+    if (!previousState) return current;
+    
+    const lerp = (from, to) => from + (to - from) * alpha;
+    const previous = previousState;
+    
+    return {
+      ...current,
+      paddles: {
+        left: { ...current.paddles.left, y: lerp(previous.paddles.left.y, current.paddles.left.y) },
+        right: { ...current.paddles.right, y: lerp(previous.paddles.right.y, current.paddles.right.y) }
+      },
+      balls: current.balls.map(ball => {
+        const before = previous.balls.find(b => b.id === ball.id);
+        if (!before) return ball;
+        return { ...ball, x: lerp(before.x, ball.x), y: lerp(before.y, ball.y) };
+      })
+    };
+  }
   
   /**
    * Main game loop
+   * @param {number} timestamp - Frame timestamp from requestAnimationFrame (ms)
    */
-  function gameLoop() {
-    const currentGameState = get(gameState);
+  function gameLoop(timestamp) {
+    const dt = GAME_CONFIG.FIXED_TIMESTEP;
+    const frameTime = lastFrameTime === null ? 0 : (timestamp - lastFrameTime) / 1000;
+    lastFrameTime = timestamp;
+    
+    // Gamepads have no input events, so read them every tick
+    inputHandler?.poll();
     
-    // Skip physics update if paused
-    if (!currentGameState.paused && !currentGameState.over) {
-      updatePhysics();
+    if (attract) {
+      advanceAttract(frameTime);
+    } else if (isIdle(timestamp)) {
+      startAttractMode();
     }
     
-    // Render the frame
-    if (renderFunction) {
+    if (replayPlayer) {
+      advanceReplay(frameTime);
+    } else if (isRunning()) {
+      // Accumulate real time and consume it in fixed physics steps
+      accumulator += Math.min(frameTime, GAME_CONFIG.MAX_FRAME_TIME);
+      
+      let steps = 0;
+      while (accumulator >= dt && steps < GAME_CONFIG.MAX_STEPS_PER_FRAME && isRunning()) {
+        previousState = simulation.getState();
+        const ballReset = updatePhysics(dt);
+        if (ballReset) {
+          // Don't interpolate across a serve
+          previousState = null;
+        }
+        accumulator -= dt;
+        steps++;
+      }
+      
+      // Drop whatever we could not catch up on rather than spiralling
+      if (steps === GAME_CONFIG.MAX_STEPS_PER_FRAME) {
+        accumulator = 0;
+      }
+    } else {
+      // Skip physics update if paused
+      accumulator = 0;
+      previousState = null;
+    }
+    
+    const renderState = interpolateState(accumulator / dt);
+    effects.update(Math.min(frameTime, GAME_CONFIG.MAX_FRAME_TIME), renderState);
+    
+    // Render the frame; a renderer error costs the frame, not the loop
+    if (renderer) {
       try {
-        renderFunction();
+        renderer.render(getRenderSnapshot(renderState, timestamp));
       } catch (error) {
-        console.error('Render function error:', error);
-        // Fall back to direct rendering
-        renderDirectly();
+        console.error('Render error:', error);
       }
-    } else if (canvasContext) {
-      renderDirectly();
     }
     
     // Continue the loop
@@ -52,241 +219,594 @@ export function createGameEngine() {
   }
   
   /**
-   * Update game physics
+   * Paddle position a touch drag asks for, or null when there was no drag
+   * @param {object} state - Current simulation state
+   * @param {string} side - Paddle side
+   * @param {number} drag - Drag distance in field pixels
+   * @returns {number|null} Target y
+   */
+  function getTouchTarget(state, side, drag) {
+    return drag === 0 ? null : state.paddles[side].y + drag;
+  }
+  
+  /**
+   * Collect this step's paddle inputs from the players and the AI
+   * @param {object} state - Current simulation state
+   * @param {number} dt - Time step in seconds
+   * @returns {object} Per-side inputs {left, right}
    */
-  function updatePhysics() {
-    const currentCanvas = get(canvas);
-    const currentPaddles = get(paddles);
-    const currentBall = get(ball);
+  function buildInputs(state, dt) {
+    if (attract) {
+      return {
+        left: attract.ais.left.getInput(state, dt),
+        right: attract.ais.right.getInput(state, dt)
+      };
+    }
     
-    // Update player paddle
-    if (playerMovement !== 0) {
-      const newLeftPaddle = updatePaddlePosition(
-        currentPaddles.left,
-        playerMovement,
-        GAME_CONFIG.PADDLE_SPEED,
-        currentCanvas.height
-      );
-      
-      paddles.update(p => ({ ...p, left: newLeftPaddle }));
-    }
+    if (mode === 'pvp' && !isOnline()) {
+      return {
+        left: { movement: movement.left, targetY: getTouchTarget(state, 'left', touchDrag.left), serve: serveRequested.left },
+        right: { movement: movement.right, targetY: getTouchTarget(state, 'right', touchDrag.right), serve: serveRequested.right }
+      };
+    }
+    
+    // Against the AI or online both sets of movement and serve keys, and both
+    // halves of the screen, drive the player's paddle
+    const playerSide = isOnline() ? online.side : 'left';
+    const playerInput = {
+      movement: clamp(movement.left + movement.right, -1, 1),
+      targetY: getTouchTarget(state, playerSide, touchDrag.left + touchDrag.right),
+      serve: serveRequested.left || serveRequested.right
+    };
     
-    // Update AI paddle
-    const newRightY = ai.update(currentBall, currentPaddles.right, currentCanvas.width, currentCanvas.height);
-    paddles.update(p => ({ 
-      ...p, 
-      right: { ...p.right, y: newRightY }
-    }));
-    
-    // Update ball position
-    let newBall = updateBallPosition(currentBall);
-    
-    // Check wall collisions
-    const wallCollision = checkWallCollision(newBall, currentCanvas.height);
-    if (wallCollision) {
-      newBall.y = wallCollision.newY;
-      newBall.vy = wallCollision.newVY;
-    }
-    
-    // Check paddle collisions
-    const updatedPaddles = get(paddles);
-    
-    // Left paddle collision
-    const leftCollision = checkPaddleCollision(
-      newBall, 
-      updatedPaddles.left, 
-      true, 
-      currentCanvas.width
-    );
-    
-    if (leftCollision) {
-      const reflection = calculateReflection(
-        leftCollision.hitPosition,
-        leftCollision.isLeftPaddle,
-        newBall.vx,
-        newBall.vy
-      );
-      newBall.vx = reflection.vx;
-      newBall.vy = reflection.vy;
-      newBall.x = leftCollision.newX;
-    }
-    
-    // Right paddle collision
-    const rightCollision = checkPaddleCollision(
-      newBall, 
-      updatedPaddles.right, 
-      false, 
-      currentCanvas.width
-    );
-    
-    if (rightCollision) {
-      const reflection = calculateReflection(
-        rightCollision.hitPosition,
-        rightCollision.isLeftPaddle,
-        newBall.vx,
-        newBall.vy
-      );
-      newBall.vx = reflection.vx;
-      newBall.vy = reflection.vy;
-      newBall.x = rightCollision.newX;
-    }
-    
-    // Check scoring
-    const scoring = checkScoring(newBall, currentCanvas.width);
-    if (scoring) {
-      gameActions.scorePoint(scoring);
-      return; // Don't update ball position, it will be reset
-    }
-    
-    // Update ball state
-    ball.set(newBall);
-  }
-  
-  /**
-   * Direct rendering fallback when no render function is provided
-   */
-  function renderDirectly() {
-    if (!canvasContext) return;
-    
-    const currentCanvas = get(canvas);
-    const currentPaddles = get(paddles);
-    const currentBall = get(ball);
-    const currentGameState = get(gameState);
-    
-    // Clear background
-    canvasContext.fillStyle = GAME_CONFIG.COLORS.background;
-    canvasContext.fillRect(0, 0, currentCanvas.width, currentCanvas.height);
-    
-    // Draw net
-    canvasContext.save();
-    canvasContext.globalAlpha = GAME_CONFIG.NET_OPACITY;
-    canvasContext.fillStyle = GAME_CONFIG.COLORS.net;
-    for (let y = 0; y < currentCanvas.height; y += GAME_CONFIG.NET_SEGMENT_HEIGHT * 2) {
-      canvasContext.fillRect(currentCanvas.width / 2 - 1, y, 2, GAME_CONFIG.NET_SEGMENT_HEIGHT);
-    }
-    canvasContext.restore();
-    
-    // Draw paddles
-    canvasContext.fillStyle = GAME_CONFIG.COLORS.paddle;
-    canvasContext.fillRect(GAME_CONFIG.PADDLE_MARGIN, currentPaddles.left.y, GAME_CONFIG.PADDLE_WIDTH, currentPaddles.left.height);
-    canvasContext.fillRect(currentCanvas.width - GAME_CONFIG.PADDLE_MARGIN - GAME_CONFIG.PADDLE_WIDTH, currentPaddles.right.y, GAME_CONFIG.PADDLE_WIDTH, currentPaddles.right.height);
-    
-    // Draw ball
-    canvasContext.fillStyle = GAME_CONFIG.COLORS.ball;
-    const ballRadius = GAME_CONFIG.BALL_SIZE / 2;
-    canvasContext.fillRect(currentBall.x - ballRadius, currentBall.y - ballRadius, GAME_CONFIG.BALL_SIZE, GAME_CONFIG.BALL_SIZE);
-    
-    // Draw score
-    canvasContext.font = GAME_CONFIG.FONTS.score;
-    canvasContext.textAlign = 'center';
-    canvasContext.textBaseline = 'top';
-    canvasContext.fillStyle = GAME_CONFIG.COLORS.score;
-    canvasContext.fillText(`${currentGameState.scoreLeft}`, currentCanvas.width * 0.25, 18);
-    canvasContext.fillText(`${currentGameState.scoreRight}`, currentCanvas.width * 0.75, 18);
-    
-    // Draw pause/game over messages
-    if (currentGameState.paused && !currentGameState.over) {
-      canvasContext.font = GAME_CONFIG.FONTS.pause;
-      canvasContext.fillStyle = GAME_CONFIG.COLORS.pauseText;
-      canvasContext.textAlign = 'center';
-      canvasContext.textBaseline = 'middle';
-      canvasContext.fillText('Paused — Space to continue', currentCanvas.width / 2, currentCanvas.height / 2);
-    }
-    
-    if (currentGameState.over) {
-      canvasContext.font = GAME_CONFIG.FONTS.gameOver;
-      canvasContext.fillStyle = GAME_CONFIG.COLORS.winText;
-      canvasContext.textAlign = 'center';
-      canvasContext.textBaseline = 'middle';
-      const winner = currentGameState.scoreLeft > currentGameState.scoreRight ? 'You Win!' : 'AI Wins';
-      canvasContext.fillText(`${winner} — press R to restart`, currentCanvas.width / 2, currentCanvas.height / 2);
+    // Online the remote player takes the AI's place
+    if (isOnline()) {
+      return { [online.side]: playerInput, [online.remote.side]: online.remote.getInput() };
     }
+    return { left: playerInput, right: ai.getInput(state, dt) };
+  }
+  
+  /**
+   * Advance game physics by one fixed step
+   * @param {number} dt - Time step in seconds
+   * @returns {boolean} True if the ball was reset for a new serve
+   */
+  function updatePhysics(dt) {
+    const state = simulation.getState();
+    
+    const inputs = buildInputs(state, dt);
+    touchDrag = { left: 0, right: 0 };
+    serveRequested = { left: false, right: false };
+    
+    if (isOnline()) {
+      // Predicted locally; stats and history follow the server's snapshots
+      const predicted = online.match.step(inputs);
+      gameActions.syncFromSimulation(predicted);
+      sound.playEvents(predicted.events, predicted, online.side);
+      effects.handleEvents(predicted.events);
+      return predicted.events.some(event => event.type === 'serveReady');
+    }
+    
+    recorder?.recordStep(inputs);
+    const nextState = simulation.step(inputs);
+    gameActions.syncFromSimulation(nextState);
+    effects.handleEvents(nextState.events);
+    
+    // The attract demo plays silently and stays out of the stats and history
+    if (attract) {
+      return nextState.events.some(event => event.type === 'serveReady');
+    }
+    
+    sound.playEvents(nextState.events, nextState, getPlayerSide(mode));
+    
+    const nextStats = updateMatchStats(stats, state, nextState);
+    if (nextStats !== stats) {
+      setStats(nextStats);
+    }
+    if (nextState.events.some(event => event.type === 'gameOver')) {
+      saveToHistory(nextState);
+      if (mode === 'ladder') finishLadderMatch(nextState);
+    }
+    
+    return nextState.events.some(event => event.type === 'serveReady');
+  }
+  
+  /**
+   * Check whether an online match has started (the local match is kept
+   * while waiting for an opponent)
+   */
+  function isOnline() {
+    return Boolean(online?.match);
+  }
+  
+  /**
+   * Paddle of the player at this screen when the other one is the AI
+   * @param {string} matchMode - Game mode of the match
+   * @returns {string|null} 'left' against the AI (or a ladder opponent), null for two players
+   */
+  function getPlayerSide(matchMode) {
+    return GAME_CONFIG.MODES[matchMode]?.vsAI ? 'left' : null;
+  }
+  
+  /**
+   * Advance replay playback by a frame's worth of (scaled) time
+   * @param {number} frameTime - Real time since the last frame in seconds
+   */
+  function advanceReplay(frameTime) {
+    const dt = GAME_CONFIG.FIXED_TIMESTEP;
+    
+    if (!replayPlaying) {
+      accumulator = 0;
+      return;
+    }
+    
+    accumulator += Math.min(frameTime, GAME_CONFIG.MAX_FRAME_TIME) * replaySpeed;
+    
+    const maxSteps = GAME_CONFIG.MAX_STEPS_PER_FRAME * Math.max(1, replaySpeed);
+    let steps = 0;
+    while (accumulator >= dt && steps < maxSteps) {
+      previousState = replayPlayer.getState();
+      if (!replayPlayer.step()) {
+        // Reached the end of the recording
+        replayPlaying = false;
+        accumulator = 0;
+        break;
+      }
+      const replayed = replayPlayer.getState();
+      sound.playEvents(replayed.events, replayed, getPlayerSide(replayPlayer.log.mode));
+      effects.handleEvents(replayed.events);
+      if (replayed.events.some(event => event.type === 'serveReady')) {
+        previousState = null;
+      }
+      accumulator -= dt;
+      steps++;
+    }
+    
+    if (steps === maxSteps) {
+      accumulator = 0;
+    }
+    
+    syncReplay();
+  }
+  
+  /**
+   * Mirror the replay position and reconstructed match into the stores
+   */
+  function syncReplay() {
+    gameMode.set(replayPlayer?.log.mode ?? mode);
+    gameActions.syncFromSimulation(getDisplayedState());
+    replayState.set({
+      active: !!replayPlayer,
+      playing: replayPlaying,
+      speed: replaySpeed,
+      position: replayPlayer?.position ?? 0,
+      length: replayPlayer?.length ?? 0
+    });
+  }
+  
+  /**
+   * Line under the serve countdown: who serves, and the key to press when
+   * it is a player at this screen
+   * @param {string} server - Serving side
+   * @returns {string} Prompt
+   */
+  function getServePrompt(server) {
+    const names = get(playerNames);
+    const currentMode = get(gameMode);
+    const isOpponent = !!attract || (GAME_CONFIG.MODES[currentMode]?.vsAI && server === 'right') ||
+      (currentMode === 'online' && server !== get(onlineState).side);
+    if (isOpponent) return `${names[server]} serves`;
+    
+    return `${names[server]} serves — press ${getKeyLabel('serve', server)}`;
+  }
+  
+  /**
+   * Label of the first key bound to an action, for on-screen prompts
+   * @param {string} action - Action name (see keyBindings.js)
+   * @param {string} [side] - Player side for per-player actions
+   * @returns {string} Key label, e.g. 'Space'
+   */
+  function getKeyLabel(action, side = null) {
+    return formatKey(getKeysForAction(get(keyBindings), action, side)[0], get(keyboardLayout));
+  }
+  
+  /**
+   * Freeze what the renderer needs to draw a state
+   * @param {object} renderState - Interpolated simulation state
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @returns {object} Render snapshot (see renderScene.js)
+   */
+  function getRenderSnapshot(renderState, timestamp) {
+    return createRenderSnapshot(renderState, {
+      theme: get(theme),
+      canvas: get(canvas),
+      names: get(playerNames),
+      servePrompt: renderState.phase === PHASES.SERVING ? getServePrompt(renderState.server) : null,
+      attract: !!attract,
+      keys: { pause: getKeyLabel('pause'), restart: getKeyLabel('restart') },
+      time: timestamp,
+      effects: effects.getFrame()
+    });
   }
   
   /**
    * Handle input actions
    */
-  function handleKeyAction(action, value) {
+  function handleKeyAction(action, value, side) {
+    // The demo ignores the controls; the press that ends it does nothing else
+    if (attract) return;
+    
+    // While watching a replay only the pause key does anything (play/pause)
+    if (replayPlayer) {
+      if (action === 'pause' && value) toggleReplayPlayback();
+      return;
+    }
+    
+    // Online the server pauses and restarts the match for both players
+    if (isOnline() && (action === 'pause' || action === 'restart')) {
+      if (value) online.net.send('action', { action });
+      return;
+    }
+    
     switch (action) {
       case 'pause':
-        if (value) gameActions.togglePause();
+        if (value) {
+          recorder?.recordAction('pause');
+          gameActions.syncFromSimulation(simulation.togglePause());
+        }
         break;
       case 'restart':
-        if (value) gameActions.resetMatch();
+        if (value) {
+          const seed = fixedSeed ?? generateSeed();
+          previousState = null;
+          effects.clear();
+          recorder?.recordAction('restart', seed);
+          gameActions.syncFromSimulation(simulation.resetMatch(seed));
+          resetStats();
+          syncLadder();
+        }
+        break;
+      case 'serve':
+        // The simulation only listens to the server's key; ignore it outside the serve
+        if (value && simulation.getState().phase === PHASES.SERVING) {
+          serveRequested = { ...serveRequested, [side]: true };
+        }
         break;
       case 'move':
-        playerMovement = value;
+        movement = { ...movement, [side]: value };
         break;
     }
   }
   
   /**
-   * Handle touch movement
+   * Handle touch movement: drags move the paddle relative to where it is, so
+   * the finger need not cover it
+   * @param {string} side - Half of the canvas the drag started on
+   * @param {number} deltaY - Drag distance in CSS pixels
    */
-  function handleTouchMove(y) {
-    const currentPaddles = get(paddles);
-    const paddleY = y - currentPaddles.left.height / 2;
-    gameActions.updatePaddlePosition('left', paddleY);
+  function handleTouchMove(side, deltaY) {
+    if (replayPlayer || attract) return;
+    
+    // Drags are in canvas pixels; the viewport maps them onto the playfield
+    const viewport = createViewport(get(canvas), simulation.getState().field);
+    touchDrag = {
+      ...touchDrag,
+      [side]: touchDrag[side] + toFieldDistance(viewport, deltaY) * GAME_CONFIG.TOUCH.DRAG_SCALE
+    };
   }
   
   /**
    * Start the game engine
+   * @param {object} nextRenderer - Renderer to draw with (see renderers.js);
+   *   pointer input is read from its element
    */
-  function start(canvasElement, canvasRenderFunction) {
-    console.log('Starting game engine:', {
-      canvasElement: !!canvasElement,
-      renderFunction: !!canvasRenderFunction,
-      renderFunctionType: typeof canvasRenderFunction
-    });
-    
-    // Store render function and get canvas context as fallback
-    renderFunction = canvasRenderFunction;
-    if (canvasElement) {
-      canvasContext = canvasElement.getContext('2d');
-      canvasElement.dataset.gameRunning = 'true';
-    }
+  function start(nextRenderer) {
+    renderer = nextRenderer;
+    renderer.element.dataset.gameRunning = 'true';
     
     // Initialize input handling
-    inputHandler = createInputHandler(handleKeyAction, handleTouchMove);
-    inputHandler.attach(canvasElement);
+    inputHandler = createInputHandler(handleKeyAction, handleTouchMove, pads => gamepads.set(pads), handleActivity);
+    inputHandler.attach(renderer.element);
+    unsubscribeBindings = keyBindings.subscribe(bindings => inputHandler?.setBindings(bindings));
+    loadKeyboardLayout().then(layout => keyboardLayout.set(layout));
+    refreshHistory(null).catch(handleHistoryError);
+    sound.attach();
     
-    // Initialize game state
-    gameActions.resetMatch();
+    // Save the match whenever the page is hidden, in case it never comes back
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', saveSnapshot);
+    
+    // Effects switch off and on with the browser's reduced-motion preference
+    reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+    reducedMotionQuery?.addEventListener('change', handleReducedMotionChange);
+    handleReducedMotionChange();
+    
+    // Pick up a saved match (unless the URL asks for a specific seed), or
+    // initialize game state and start recording a new one
+    const snapshot = fixedSeed === null ? loadMatchSnapshot() : null;
+    if (snapshot) {
+      resumeMatch(snapshot);
+    } else {
+      beginRecordedMatch(simulation.getState().seed);
+    }
     
     // Start game loop
     if (!animationFrame) {
       console.log('Starting game loop...');
-      gameLoop();
+      lastFrameTime = null;
+      accumulator = 0;
+      previousState = null;
+      animationFrame = requestAnimationFrame(gameLoop);
     }
   }
   
+  /**
+   * Reset the match and start a fresh replay recording for it
+   * @param {number} seed - Seed for the new match
+   */
+  function beginRecordedMatch(seed) {
+    stopAttractMode();
+    // Settings changed during an online match apply once it is over
+    if (isOnline()) return;
+    
+    const initialState = simulation.resetMatch(seed, getMatchSetup());
+    // A fresh AI, so its reaction memory matches what the replay will rebuild
+    ai = createOpponentAI();
+    const opponent = getOpponent();
+    recorder = createReplayRecorder({
+      seed: initialState.seed,
+      field: initialState.field,
+      difficulty: opponent.difficulty,
+      personality: opponent.personality,
+      mode,
+      rules: initialState.rules,
+      arcade: initialState.arcade,
+      chaos: initialState.chaos
+    });
+    previousState = null;
+    effects.clear();
+    gameActions.syncFromSimulation(initialState);
+    resetStats();
+    syncLadder();
+  }
+  
+  /**
+   * AI the player faces: the ladder opponent in ladder mode, otherwise the AI settings
+   * @returns {object} {difficulty, personality}
+   */
+  function getOpponent() {
+    return mode === 'ladder' ? LADDER[ladderRung] : { difficulty: aiDifficulty, personality: aiPersonality };
+  }
+  
+  function createOpponentAI() {
+    const { difficulty, personality } = getOpponent();
+    return createAI(difficulty, simulation.random, personality);
+  }
+  
+  /**
+   * Rules, arcade and chaos for a new match: the ladder rung's in ladder mode
+   * @returns {object} Setup for simulation.resetMatch
+   */
+  function getMatchSetup() {
+    if (mode === 'ladder') {
+      const rung = LADDER[ladderRung];
+      return { rules: resolveRules(rung.rules), arcade: rung.arcade, chaos: rung.chaos };
+    }
+    return { rules: matchRules, arcade, chaos };
+  }
+  
+  /**
+   * Replace the live match stats
+   * @param {object} nextStats - Stats (see matchStats.js)
+   */
+  function setStats(nextStats) {
+    stats = nextStats;
+    matchStats.set(stats);
+  }
+  
+  /**
+   * Start stats for a new match; the previous match is no longer the latest in the history
+   */
+  function resetStats() {
+    setStats(createMatchStats());
+    matchHistory.update(history => ({ ...history, latestId: null }));
+  }
+  
+  /**
+   * Add the match that just finished to the history
+   * @param {object} finalState - Simulation state at game over
+   */
+  function saveToHistory(finalState) {
+    // Online matches have no AI opponent and credit no player (see history.js)
+    const opponent = isOnline() ? { difficulty: null, personality: null } : getOpponent();
+    const recordMode = isOnline() ? 'online' : mode;
+    const record = createMatchRecord({
+      state: finalState,
+      stats,
+      mode: recordMode,
+      difficulty: opponent.difficulty,
+      personality: opponent.personality,
+      opponent: recordMode === 'ladder' ? LADDER[ladderRung].name : null
+    });
+    saveMatchRecord(record)
+      .then(id => refreshHistory(id))
+      .catch(handleHistoryError);
+  }
+  
+  /**
+   * Reload the match history into its store
+   * @param {number|null} [latestId] - Id of the match that just finished
+   * @returns {Promise<void>}
+   */
+  function refreshHistory(latestId = get(matchHistory).latestId) {
+    return loadMatchRecords().then(matches => {
+      matchHistory.set({ matches, latestId, error: null });
+    });
+  }
+  
+  function handleHistoryError(error) {
+    console.warn('Match history unavailable:', error);
+    matchHistory.update(history => ({ ...history, error: error.message }));
+  }
+  
   /**
    * Stop the game engine
    */
-  function stop(canvasElement) {
+  function stop() {
     // Stop game loop
     if (animationFrame) {
       cancelAnimationFrame(animationFrame);
       animationFrame = null;
     }
     
-    // Mark canvas as not having an active game loop
-    if (canvasElement) {
-      canvasElement.dataset.gameRunning = 'false';
+    // Mark the renderer's element as not having an active game loop
+    if (renderer) {
+      renderer.element.dataset.gameRunning = 'false';
     }
     
     // Cleanup input handling
     if (inputHandler) {
-      inputHandler.detach(canvasElement);
+      inputHandler.detach(renderer?.element);
       inputHandler = null;
+      gamepads.set([]);
     }
+    
+    sound.detach();
+    online?.net.close();
+    online = null;
+    
+    if (unsubscribeBindings) {
+      unsubscribeBindings();
+      unsubscribeBindings = null;
+    }
+    
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', saveSnapshot);
+    reducedMotionQuery?.removeEventListener('change', handleReducedMotionChange);
+    reducedMotionQuery = null;
+  }
+  
+  /**
+   * Restore a saved match and keep recording it; it comes back paused
+   * @param {object} snapshot - Snapshot from loadMatchSnapshot
+   */
+  function resumeMatch(snapshot) {
+    const { state, log } = snapshot;
+    mode = log.mode;
+    gameMode.set(mode);
+    aiDifficulty = snapshot.difficulty;
+    aiPersonality = snapshot.personality;
+    rulesSetting = snapshot.rules ?? state.rules;
+    if (mode === 'ladder') {
+      // The rung decides the match setup; the user's own settings stay as they were
+      ladderRung = LADDER[snapshot.ladderRung] ? snapshot.ladderRung : getNextRung(ladderProgress);
+      matchRules = resolveRules(rulesSetting);
+      syncLadder();
+    } else {
+      matchRules = state.rules;
+      arcade = state.arcade;
+      chaos = state.chaos;
+    }
+    
+    simulation.setState(state);
+    // The same fresh AI the replay creates at the 'resume' action
+    ai = createOpponentAI();
+    recorder = resumeReplayRecorder(log);
+    
+    if (!simulation.getState().paused) {
+      recorder.recordAction('pause');
+      simulation.togglePause();
+    }
+    
+    previousState = null;
+    effects.clear();
+    gameActions.syncFromSimulation(simulation.getState());
+    setStats(snapshot.stats ?? createMatchStats());
+    persistSettings();
+  }
+  
+  /**
+   * Save the live match so it can be resumed after a reload; finished or
+   * untouched matches are not worth resuming
+   */
+  function saveSnapshot() {
+    // Online matches live on the server and cannot be resumed
+    if (isOnline()) return;
+    
+    // During the attract demo the live match is the one put aside
+    const live = attract?.saved ?? { state: simulation.getState(), recorder, stats };
+    const log = live.recorder?.getLog();
+    if (!log || log.length === 0 || live.state.phase === PHASES.GAME_OVER) {
+      clearMatchSnapshot();
+      return;
+    }
+    
+    saveMatchSnapshot({
+      state: live.state,
+      log,
+      difficulty: aiDifficulty,
+      personality: aiPersonality,
+      rules: rulesSetting,
+      stats: live.stats,
+      ladderRung: mode === 'ladder' ? ladderRung : null
+    });
+  }
+  
+  function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') saveSnapshot();
+  }
+  
+  /**
+   * Current user settings, in the shape saved by settings.js
+   */
+  function getSettings() {
+    const currentTheme = get(theme);
+    const { volume, muted } = get(soundSettings);
+    return {
+      difficulty: aiDifficulty,
+      personality: aiPersonality,
+      mode,
+      rules: rulesSetting,
+      arcade,
+      chaos,
+      theme: currentTheme.key === 'custom' ?
+        { name: currentTheme.name, font: currentTheme.font, colors: currentTheme.colors } :
+        currentTheme.key,
+      bindings: get(keyBindings),
+      volume,
+      muted,
+      effects: get(effectsSettings).level
+    };
+  }
+  
+  function persistSettings() {
+    saveSettings(getSettings());
   }
   
   /**
    * Change AI difficulty
    */
   function setAIDifficulty(difficulty) {
-    ai = createAI(difficulty);
+    aiDifficulty = difficulty;
+    persistSettings();
+    // Ladder opponents keep their own AI
+    if (mode === 'ladder') return;
+    
+    recorder?.recordAction('difficulty', difficulty);
+    ai = createOpponentAI();
+  }
+  
+  /**
+   * Change AI personality
+   * @param {string} personality - Key of AI_PERSONALITIES
+   */
+  function setAIPersonality(personality) {
+    aiPersonality = personality;
+    persistSettings();
+    if (mode === 'ladder') return;
+    
+    recorder?.recordAction('personality', personality);
+    ai = createOpponentAI();
   }
   
   /**
@@ -296,16 +816,599 @@ export function createGameEngine() {
     return ai.difficulty;
   }
   
+  /**
+   * Assign a connected gamepad to a paddle
+   * @param {number} index - Gamepad index
+   * @param {string} side - 'left' or 'right'
+   */
+  function assignGamepad(index, side) {
+    inputHandler?.assignGamepad(index, side);
+  }
+  
+  /**
+   * Switch between vs AI, two-player and ladder mode; starts a new match
+   * (the ladder picks up at the next opponent)
+   * @param {string} newMode - 'ai', 'pvp' or 'ladder'
+   */
+  function setGameMode(newMode) {
+    if (!GAME_CONFIG.MODES[newMode] || GAME_CONFIG.MODES[newMode].hidden || newMode === mode) return;
+    
+    mode = newMode;
+    if (!isOnline()) gameMode.set(mode);
+    if (mode === 'ladder') ladderRung = getNextRung(ladderProgress);
+    persistSettings();
+    
+    if (replayPlayer) exitReplay();
+    beginRecordedMatch(fixedSeed ?? generateSeed());
+  }
+  
+  /**
+   * Change the match rules; starts a new match
+   * @param {string|object} rules - Key of MATCH_RULES or a rules object
+   */
+  function setMatchRules(rules) {
+    if (typeof rules === 'string' && !MATCH_RULES[rules]) return;
+    
+    rulesSetting = rules;
+    matchRules = resolveRules(rules);
+    persistSettings();
+    
+    if (replayPlayer) exitReplay();
+    beginRecordedMatch(fixedSeed ?? generateSeed());
+  }
+  
+  /**
+   * Turn arcade power-ups on or off; starts a new match
+   * @param {boolean} enabled - Whether power-ups spawn
+   */
+  function setArcade(enabled) {
+    if (enabled === arcade) return;
+    
+    arcade = enabled;
+    persistSettings();
+    
+    if (replayPlayer) exitReplay();
+    beginRecordedMatch(fixedSeed ?? generateSeed());
+  }
+  
+  /**
+   * Turn chaos mode on or off; starts a new match
+   * @param {boolean} enabled - Whether every serve launches several balls
+   */
+  function setChaos(enabled) {
+    if (enabled === chaos) return;
+    
+    chaos = enabled;
+    persistSettings();
+    
+    if (replayPlayer) exitReplay();
+    beginRecordedMatch(fixedSeed ?? generateSeed());
+  }
+  
+  /**
+   * Bind a key to an action; the key's other actions are kept so the
+   * controls screen can point out the conflict
+   * @param {string} group - 'shared', 'left' or 'right'
+   * @param {string} action - Action name (see BINDABLE_ACTIONS)
+   * @param {string} code - KeyboardEvent.code of the new key
+   */
+  function setKeyBinding(group, action, code) {
+    keyBindings.update(bindings => rebindKey(bindings, group, action, code));
+    persistSettings();
+  }
+  
+  /**
+   * Restore the default key bindings
+   */
+  function resetKeyBindings() {
+    keyBindings.set(createDefaultBindings());
+    persistSettings();
+  }
+  
+  /**
+   * Switch the theme; takes effect on the next frame
+   * @param {string|object} nextTheme - Key of THEMES or a theme object
+   */
+  function setTheme(nextTheme) {
+    theme.set(resolveTheme(nextTheme));
+    persistSettings();
+  }
+  
+  /**
+   * Set the master volume of the sound effects
+   * @param {number} volume - Volume (0-1)
+   */
+  function setSoundVolume(volume) {
+    sound.setVolume(volume);
+    soundSettings.set(sound.getSettings());
+    persistSettings();
+  }
+  
+  /**
+   * Mute or unmute the sound effects
+   * @param {boolean} muted - Whether sound is muted
+   */
+  function setSoundMuted(muted) {
+    sound.setMuted(muted);
+    soundSettings.set(sound.getSettings());
+    persistSettings();
+  }
+  
+  /**
+   * Set the effects intensity; reduced-motion preferences still keep effects off
+   * @param {string} level - Key of EFFECT_LEVELS
+   */
+  function setEffectsLevel(level) {
+    if (!EFFECT_LEVELS[level]) return;
+    
+    effectsSettings.update(current => ({ ...current, level }));
+    effects.setLevel(resolveEffectLevel(level, get(effectsSettings).reducedMotion));
+    persistSettings();
+  }
+  
+  function handleReducedMotionChange() {
+    const reducedMotion = reducedMotionQuery?.matches === true;
+    effectsSettings.update(current => ({ ...current, reducedMotion }));
+    effects.setLevel(resolveEffectLevel(get(effectsSettings).level, reducedMotion));
+  }
+  
+  /**
+   * Play a rung of the tournament ladder, switching to ladder mode; beaten
+   * rungs can be replayed, locked ones cannot
+   * @param {number} index - Rung index
+   */
+  function playLadderRung(index) {
+    if (!LADDER[index] || getRungStatus(ladderProgress, index) === 'locked' || isOnline()) return;
+    
+    ladderRung = index;
+    if (mode !== 'ladder') {
+      mode = 'ladder';
+      gameMode.set(mode);
+      persistSettings();
+    }
+    
+    if (replayPlayer) exitReplay();
+    beginRecordedMatch(fixedSeed ?? generateSeed());
+  }
+  
+  /**
+   * Wipe the ladder progress and start again from the first opponent
+   */
+  function resetLadder() {
+    ladderProgress = createLadderProgress();
+    saveLadderProgress(ladderProgress);
+    ladderRung = 0;
+    syncLadder();
+    
+    if (mode === 'ladder') {
+      if (replayPlayer) exitReplay();
+      beginRecordedMatch(fixedSeed ?? generateSeed());
+    }
+  }
+  
+  /**
+   * Record a finished ladder match; beating the next opponent unlocks the one after
+   * @param {object} finalState - Simulation state at game over
+   */
+  function finishLadderMatch(finalState) {
+    const won = finalState.gamesLeft > finalState.gamesRight;
+    ladderProgress = recordLadderMatch(ladderProgress, ladderRung, won);
+    saveLadderProgress(ladderProgress);
+    syncLadder({ rung: ladderRung, won });
+  }
+  
+  /**
+   * Mirror the ladder into its store
+   * @param {object|null} [lastResult] - Outcome of the ladder match that just finished
+   */
+  function syncLadder(lastResult = null) {
+    ladderState.set({ progress: ladderProgress, rung: ladderRung, lastResult });
+  }
+  
+  /**
+   * Put the player's initials on a high score
+   * @param {number} id - Match record id
+   * @param {string} initials - Typed initials (cleaned up to three letters or digits)
+   */
+  function setHighScoreInitials(id, initials) {
+    const cleaned = normalizeInitials(initials);
+    if (!cleaned) return;
+    
+    setMatchInitials(id, cleaned)
+      .then(() => refreshHistory())
+      .catch(handleHistoryError);
+  }
+  
+  /**
+   * Merge imported matches into the history
+   * @param {object[]} records - Match records from parseHistory
+   * @returns {Promise<number>} Number of matches added (duplicates are skipped)
+   */
+  async function importHistory(records) {
+    const added = await importMatchRecords(records);
+    await refreshHistory();
+    return added;
+  }
+  
+  /**
+   * Open an online match and wait for an opponent to join with its code;
+   * the current rules, arcade and chaos settings are used
+   * @param {string} url - Server URL, e.g. ws://localhost:8787
+   */
+  function hostOnlineMatch(url) {
+    connectOnline(url, 'create', {
+      rules: typeof rulesSetting === 'string' ? rulesSetting : 'classic',
+      arcade,
+      chaos
+    });
+  }
+  
+  /**
+   * Join an online match with its code
+   * @param {string} url - Server URL
+   * @param {string} code - Join code from the host
+   */
+  function joinOnlineMatch(url, code) {
+    connectOnline(url, 'join', { code: normalizeJoinCode(code) });
+  }
+  
+  /**
+   * Leave the online match and go back to a local one
+   */
+  function leaveOnlineMatch() {
+    endOnline(null);
+  }
+  
+  /**
+   * Set the simulated network lag, for testing online play on one machine
+   * @param {object} lag - {latency, jitter} in ms each way
+   */
+  function setNetworkLag(lag) {
+    networkLag = { ...networkLag, ...lag };
+    online?.net.setLag(networkLag);
+    onlineState.update(current => ({ ...current, lag: networkLag }));
+  }
+  
+  /**
+   * Connect to the server and send the create or join request
+   */
+  function connectOnline(url, type, request) {
+    stopAttractMode();
+    endOnline(null);
+    if (replayPlayer) exitReplay();
+    
+    const net = createNetClient({
+      url,
+      lag: networkLag,
+      onMessage: handleServerMessage,
+      onClose: () => endOnline('Lost the connection to the server')
+    });
+    online = { net, side: null, code: null, remote: null, match: null, savedGameOver: false };
+    net.send(type, { version: PROTOCOL_VERSION, ...request });
+    setOnlineState({ status: 'connecting' });
+  }
+  
+  function setOnlineState(changes) {
+    onlineState.update(current => ({ ...current, ...changes }));
+  }
+  
+  /**
+   * Handle a message from the online match server
+   */
+  function handleServerMessage(message) {
+    if (!online) return;
+    
+    switch (message.type) {
+      case 'joined':
+        online.side = message.side;
+        online.code = message.code;
+        setOnlineState({ status: 'waiting', code: message.code, side: message.side, error: null });
+        break;
+      case 'start':
+        startOnlineMatch(message);
+        break;
+      case 'snapshot':
+        applySnapshot(message);
+        break;
+      case 'opponentLeft':
+        endOnline('Your opponent left the match');
+        break;
+      case 'error':
+        endOnline(message.message);
+        break;
+    }
+  }
+  
+  /**
+   * Both players are in: take over the match from the server's state
+   */
+  function startOnlineMatch({ state, stats: serverStats }) {
+    online.remote = createRemotePlayer(online.side === 'left' ? 'right' : 'left');
+    online.match = createOnlineMatch({
+      simulation,
+      side: online.side,
+      remote: online.remote,
+      send: online.net.send
+    });
+    online.savedGameOver = state.phase === PHASES.GAME_OVER;
+    
+    // Online matches are not recorded for replays
+    recorder = null;
+    simulation.setState(state);
+    previousState = null;
+    effects.clear();
+    accumulator = 0;
+    gameMode.set('online');
+    gameActions.syncFromSimulation(state);
+    resetStats();
+    setStats(serverStats);
+    setOnlineState({ status: 'playing', error: null });
+  }
+  
+  /**
+   * Reconcile with a server snapshot; finished matches go to the history
+   */
+  function applySnapshot(snapshot) {
+    if (!online.match) return;
+    
+    const state = online.match.reconcile(snapshot);
+    gameActions.syncFromSimulation(state);
+    if (snapshot.stats) {
+      setStats(snapshot.stats);
+    }
+    
+    const over = snapshot.state.phase === PHASES.GAME_OVER;
+    if (over && !online.savedGameOver) {
+      saveToHistory(snapshot.state);
+    }
+    online.savedGameOver = over;
+    
+    const latency = online.net.getLatency();
+    if (latency !== get(onlineState).latency) {
+      setOnlineState({ latency });
+    }
+  }
+  
+  /**
+   * Close the connection (if any); a local match starts again if the online one had begun
+   * @param {string|null} error - Why the online match ended, shown to the player
+   */
+  function endOnline(error) {
+    if (!online) return;
+    
+    const started = isOnline();
+    online.net.close();
+    online = null;
+    
+    if (started) {
+      gameMode.set(mode);
+      beginRecordedMatch(fixedSeed ?? generateSeed());
+    }
+    setOnlineState({ status: 'offline', code: null, side: null, latency: null, error });
+  }
+  
+  /**
+   * Check whether nobody has used the controls for a while and the live
+   * match is waiting on them (paused, over or waiting for a serve)
+   * @param {number} timestamp - Frame timestamp (ms)
+   */
+  function isIdle(timestamp) {
+    if (lastActivity === null) lastActivity = timestamp;
+    if (replayPlayer || online || timestamp - lastActivity < GAME_CONFIG.ATTRACT.IDLE_TIME * 1000) return false;
+    
+    const state = simulation.getState();
+    return state.paused || state.phase === PHASES.GAME_OVER || state.phase === PHASES.SERVING;
+  }
+  
+  /**
+   * Any key press, click, tap or gamepad use ends the attract demo
+   */
+  function handleActivity() {
+    lastActivity = performance.now();
+    stopAttractMode();
+  }
+  
+  /**
+   * Put the live match aside (paused) and let two AIs play until someone
+   * uses the controls; starts by itself after IDLE_TIME without input
+   */
+  function startAttractMode() {
+    if (attract || online) return;
+    if (replayPlayer) exitReplay();
+    
+    if (isRunning()) {
+      recorder?.recordAction('pause');
+      simulation.togglePause();
+    }
+    attract = {
+      ais: null,
+      saved: { state: simulation.getState(), recorder, stats },
+      nextMatchIn: 0
+    };
+    recorder = null;
+    movement = { left: 0, right: 0 };
+    gameMode.set('demo');
+    beginAttractMatch();
+  }
+  
+  /**
+   * Start a demo match between two randomly picked AIs, under the current
+   * rules, arcade and chaos settings
+   */
+  function beginAttractMatch() {
+    const players = { left: pickAttractPlayer(), right: pickAttractPlayer() };
+    const initialState = simulation.resetMatch(generateSeed(), { rules: matchRules, arcade, chaos });
+    attract.ais = {
+      left: createAI(players.left.difficulty, simulation.random, players.left.personality, 'left'),
+      right: createAI(players.right.difficulty, simulation.random, players.right.personality, 'right')
+    };
+    attract.nextMatchIn = GAME_CONFIG.ATTRACT.NEXT_MATCH_DELAY;
+    previousState = null;
+    effects.clear();
+    gameActions.syncFromSimulation(initialState);
+    attractState.set({ active: true, ...players });
+  }
+  
+  /**
+   * Start the next demo match a while after the current one ends
+   * @param {number} frameTime - Real time since the last frame in seconds
+   */
+  function advanceAttract(frameTime) {
+    if (simulation.getState().phase !== PHASES.GAME_OVER) return;
+    
+    attract.nextMatchIn -= Math.min(frameTime, GAME_CONFIG.MAX_FRAME_TIME);
+    if (attract.nextMatchIn <= 0) {
+      beginAttractMatch();
+    }
+  }
+  
+  /**
+   * End the demo and bring back the live match as it was put aside
+   */
+  function stopAttractMode() {
+    if (!attract) return;
+    
+    const { saved } = attract;
+    attract = null;
+    simulation.setState(saved.state);
+    recorder = saved.recorder;
+    setStats(saved.stats);
+    gameMode.set(mode);
+    previousState = null;
+    effects.clear();
+    accumulator = 0;
+    gameActions.syncFromSimulation(simulation.getState());
+    attractState.set({ active: false, left: null, right: null });
+  }
+  
+  /**
+   * Get the replay log of the live match, or of the replay being watched
+   */
+  function exportReplay() {
+    return replayPlayer ? replayPlayer.log : recorder?.getLog() ?? null;
+  }
+  
+  /**
+   * Switch to replay viewer mode, pausing the live match
+   * @param {object} log - Replay log (see replay.js)
+   */
+  function loadReplay(log) {
+    // An online match cannot be paused for a replay
+    if (isOnline()) return;
+    stopAttractMode();
+    
+    if (!replayPlayer && isRunning()) {
+      handleKeyAction('pause', true);
+    }
+    
+    replayPlayer = createReplayPlayer(log);
+    replayPlaying = true;
+    replaySpeed = 1;
+    accumulator = 0;
+    previousState = null;
+    effects.clear();
+    syncReplay();
+  }
+  
+  /**
+   * Leave replay viewer mode and show the (paused) live match again
+   */
+  function exitReplay() {
+    replayPlayer = null;
+    replayPlaying = false;
+    previousState = null;
+    effects.clear();
+    syncReplay();
+  }
+  
+  /**
+   * Toggle replay playback; restarts from the beginning once finished
+   */
+  function toggleReplayPlayback() {
+    if (!replayPlayer) return;
+    
+    if (!replayPlaying && replayPlayer.finished) {
+      replayPlayer.seek(0);
+    }
+    replayPlaying = !replayPlaying;
+    syncReplay();
+  }
+  
+  /**
+   * Set replay playback speed
+   * @param {number} speed - Multiplier (0.25 to 4)
+   */
+  function setReplaySpeed(speed) {
+    replaySpeed = Math.max(0.25, Math.min(4, speed));
+    syncReplay();
+  }
+  
+  /**
+   * Pause and move the replay by a number of simulation steps
+   * @param {number} steps - Steps to move (negative to go back)
+   */
+  function stepReplay(steps) {
+    if (!replayPlayer) return;
+    
+    replayPlaying = false;
+    seekReplay(replayPlayer.position + steps);
+  }
+  
+  /**
+   * Jump to a step in the replay
+   * @param {number} position - Step index
+   */
+  function seekReplay(position) {
+    if (!replayPlayer) return;
+    
+    replayPlayer.seek(position);
+    accumulator = 0;
+    previousState = null;
+    effects.clear();
+    syncReplay();
+  }
+  
   return {
     start,
     stop,
     setAIDifficulty,
     getAIDifficulty,
+    setAIPersonality,
+    setGameMode,
+    setMatchRules,
+    setArcade,
+    setChaos,
+    getSettings,
+    setKeyBinding,
+    resetKeyBindings,
+    setTheme,
+    setSoundVolume,
+    setSoundMuted,
+    setEffectsLevel,
+    assignGamepad,
+    setHighScoreInitials,
+    importHistory,
+    playLadderRung,
+    resetLadder,
+    hostOnlineMatch,
+    joinOnlineMatch,
+    leaveOnlineMatch,
+    setNetworkLag,
+    startAttractMode,
+    stopAttractMode,
+    exportReplay,
+    loadReplay,
+    exitReplay,
+    toggleReplayPlayback,
+    setReplaySpeed,
+    stepReplay,
+    seekReplay,
     // Expose for debugging
+    _simulation: () => simulation,
     _getCurrentState: () => ({
       canvas: get(canvas),
       paddles: get(paddles),
-      ball: get(ball),
+      balls: get(balls),
       gameState: get(gameState)
     })
   };
@@ -1,50 +1,132 @@
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
 import { GAME_CONFIG } from './gameConfig.js';
+import { createPaddles, PHASES } from './simulation.js';
+import { resolveRules, isSuddenDeath } from './matchRules.js';
+import { resolveTheme } from './themes.js';
+import { createDefaultBindings } from './keyBindings.js';
+import { createMatchStats } from './matchStats.js';
+import { LADDER, createLadderProgress } from './ladder.js';
+import { createField } from './viewport.js';
 
 /**
  * Game state store - centralized state management for the Pong game
  */
 
-// Canvas and display properties
+// Canvas size in CSS pixels and its device pixel ratio; the playfield keeps
+// its own fixed size (see viewport.js)
 export const canvas = writable({
   width: GAME_CONFIG.DEFAULT_WIDTH,
   height: GAME_CONFIG.DEFAULT_HEIGHT,
   dpr: 1
 });
 
-// Calculate initial paddle values
-const initialPaddleHeight = Math.max(
-  GAME_CONFIG.MIN_PADDLE_HEIGHT, 
-  GAME_CONFIG.DEFAULT_HEIGHT * GAME_CONFIG.PADDLE_HEIGHT_RATIO
-);
-const initialPaddleY = (GAME_CONFIG.DEFAULT_HEIGHT - initialPaddleHeight) / 2;
-
 // Paddle positions and properties
-export const paddles = writable({
-  left: {
-    y: initialPaddleY,
-    height: initialPaddleHeight
-  },
-  right: {
-    y: initialPaddleY,
-    height: initialPaddleHeight
-  }
-});
+export const paddles = writable(createPaddles(createField()));
 
-// Ball state (center of canvas)
-export const ball = writable({
-  x: GAME_CONFIG.DEFAULT_WIDTH / 2,
-  y: GAME_CONFIG.DEFAULT_HEIGHT / 2,
-  vx: GAME_CONFIG.BALL_SPEED_START,
-  vy: GAME_CONFIG.BALL_SPEED_START * 0.5
-});
+// Balls in play: [{id, x, y, vx, vy, lastHitter}] (empty between points)
+export const balls = writable([]);
 
 // Game state
+// phase is one of PHASES (serving, rally, point-scored, game-over); pausing is
+// separate and can happen in any phase but game-over.
+// Points are per game; gamesLeft/gamesRight are the set score under the active rules
 export const gameState = writable({
+  phase: PHASES.SERVING,
   paused: false,
-  over: false,
+  server: 'left',
+  // Whole seconds left before the ball is served automatically (null outside serving)
+  serveCountdown: null,
   scoreLeft: 0,
-  scoreRight: 0
+  scoreRight: 0,
+  gamesLeft: 0,
+  gamesRight: 0,
+  gameNumber: 1,
+  // Whole seconds left in a timed game (null when untimed)
+  timeRemaining: null,
+  suddenDeath: false,
+  rules: resolveRules(),
+  arcade: false,
+  chaos: false,
+  seed: null
+});
+
+// Active power-up effects in arcade mode: [{type, side, remaining (whole seconds)}]
+export const activePowerUps = writable([]);
+
+// Stats for the live match (see matchStats.js)
+export const matchStats = writable(createMatchStats());
+
+// Saved match history (see history.js): records oldest first, and the id of
+// the record saved for the match that just finished (null once a new one starts)
+export const matchHistory = writable({
+  matches: [],
+  latestId: null,
+  error: null
+});
+
+// Online play (see netProtocol.js): status is 'offline', 'connecting',
+// 'waiting' (for the opponent to join with the code) or 'playing'; side is the
+// paddle this player controls, latency the measured round trip in ms and lag
+// the simulated lag {latency, jitter}
+export const onlineState = writable({
+  status: 'offline',
+  code: null,
+  side: null,
+  latency: null,
+  lag: { latency: 0, jitter: 0 },
+  error: null
+});
+
+// Attract demo: while active both paddles are AIs, each {difficulty, personality}
+export const attractState = writable({
+  active: false,
+  left: null,
+  right: null
+});
+
+// Tournament ladder (see ladder.js): saved progress, the rung being played or
+// next up, and the outcome {rung, won} of the ladder match that just finished
+export const ladderState = writable({
+  progress: createLadderProgress(),
+  rung: 0,
+  lastResult: null
+});
+
+// Game mode ('ai', 'pvp', 'ladder', or 'online'/'demo' set by the engine, see GAME_CONFIG.MODES)
+export const gameMode = writable('ai');
+
+// Active theme for the canvas and page (see themes.js)
+export const theme = writable(resolveTheme());
+
+// Keyboard bindings per player (see keyBindings.js)
+export const keyBindings = writable(createDefaultBindings());
+
+// Keyboard layout map (code -> printed character) for key labels, when the browser exposes it
+export const keyboardLayout = writable(null);
+
+// Sound settings: master volume (0-1) and mute
+export const soundSettings = writable({
+  volume: GAME_CONFIG.SOUND.VOLUME,
+  muted: false
+});
+
+// Effects intensity (key of EFFECT_LEVELS in effects.js) and whether the
+// browser's reduced-motion preference is keeping effects off
+export const effectsSettings = writable({
+  level: 'full',
+  reducedMotion: false
+});
+
+// Connected gamepads and the paddle each one controls: [{index, id, side}]
+export const gamepads = writable([]);
+
+// Replay viewer state
+export const replayState = writable({
+  active: false,
+  playing: false,
+  speed: 1,
+  position: 0,
+  length: 0
 });
 
 // Input state
@@ -56,14 +138,23 @@ export const inputState = writable({
 // Derived stores for convenience
 export const isGameRunning = derived(
   gameState,
-  ($gameState) => !$gameState.paused && !$gameState.over
+  ($gameState) => !$gameState.paused && $gameState.phase !== PHASES.GAME_OVER
 );
 
+export const playerNames = derived(
+  [gameMode, ladderState],
+  ([$gameMode, $ladderState]) => {
+    const { players } = GAME_CONFIG.MODES[$gameMode] || GAME_CONFIG.MODES.ai;
+    return $gameMode === 'ladder' ? { ...players, right: LADDER[$ladderState.rung].name } : players;
+  }
+);
+
+// Name of the winning player once the match is over
 export const winner = derived(
-  gameState,
-  ($gameState) => {
-    if (!$gameState.over) return null;
-    return $gameState.scoreLeft > $gameState.scoreRight ? 'player' : 'ai';
+  [gameState, playerNames],
+  ([$gameState, $playerNames]) => {
+    if ($gameState.phase !== PHASES.GAME_OVER) return null;
+    return $gameState.gamesLeft > $gameState.gamesRight ? $playerNames.left : $playerNames.right;
   }
 );
 
@@ -74,119 +165,52 @@ export const canvasAspectRatio = derived(
 
 /**
  * Game state actions
+ * The rules live in the headless simulation (simulation.js); these actions
+ * only mirror its state into the Svelte stores for the UI
  */
 export const gameActions = {
-  // Reset ball position and velocity
-  resetBall(toLeft = Math.random() < 0.5) {
-    canvas.update($canvas => {
-      const angle = (Math.random() * GAME_CONFIG.ANGLE_VARIATION - GAME_CONFIG.ANGLE_VARIATION/2) + 
-                   (toLeft ? Math.PI : 0);
-      const speed = GAME_CONFIG.BALL_SPEED_START;
-      
-      ball.set({
-        x: $canvas.width / 2,
-        y: $canvas.height / 2,
-        vx: Math.cos(angle) * speed * (toLeft ? -1 : 1),
-        vy: Math.sin(angle) * speed
-      });
-
-      // Avoid extreme verticality
-      ball.update($ball => {
-        if (Math.abs($ball.vy) < GAME_CONFIG.MIN_BALL_SPEED_Y_INITIAL) {
-          $ball.vy = Math.sign($ball.vy || 1) * GAME_CONFIG.MIN_BALL_SPEED_Y_INITIAL;
-        }
-        return $ball;
-      });
-
-      return $canvas;
-    });
-  },
-
-  // Reset paddle positions
-  resetPositions() {
-    canvas.update($canvas => {
-      const paddleHeight = Math.max(
-        GAME_CONFIG.MIN_PADDLE_HEIGHT, 
-        $canvas.height * GAME_CONFIG.PADDLE_HEIGHT_RATIO
-      );
-      const centerY = ($canvas.height - paddleHeight) / 2;
-
-      paddles.set({
-        left: { y: centerY, height: paddleHeight },
-        right: { y: centerY, height: paddleHeight }
-      });
-
-      return $canvas;
-    });
-  },
-
-  // Reset entire match
-  resetMatch() {
-    gameState.update($state => ({
-      ...$state,
-      paused: false,
-      over: false,
-      scoreLeft: 0,
-      scoreRight: 0
-    }));
+  // Mirror a simulation state into the stores
+  syncFromSimulation(state) {
+    paddles.set(state.paddles);
+    balls.set(state.balls);
+    const { rules } = state;
+    const next = {
+      phase: state.phase,
+      paused: state.paused,
+      server: state.server,
+      serveCountdown: state.phase === PHASES.SERVING ? Math.ceil(state.phaseTimer) : null,
+      scoreLeft: state.scoreLeft,
+      scoreRight: state.scoreRight,
+      gamesLeft: state.gamesLeft,
+      gamesRight: state.gamesRight,
+      gameNumber: state.gameNumber,
+      timeRemaining: rules.timeLimit === null ? null : Math.max(0, Math.ceil(rules.timeLimit - state.elapsed)),
+      suddenDeath: isSuddenDeath(rules, state.elapsed),
+      rules,
+      arcade: state.arcade,
+      chaos: state.chaos,
+      seed: state.seed
+    };
+    // Only notify subscribers when the match state actually changed
+    const current = get(gameState);
+    if (Object.keys(next).some(key => current[key] !== next[key])) {
+      gameState.set({ ...current, ...next });
+    }
     
-    this.resetPositions();
-    this.resetBall(Math.random() < 0.5);
-  },
-
-  // Toggle pause state
-  togglePause() {
-    gameState.update($state => {
-      if ($state.over) return $state;
-      return { ...$state, paused: !$state.paused };
-    });
-  },
-
-  // Score a point
-  scorePoint(side) {
-    gameState.update($state => {
-      const newState = { ...$state };
-      if (side === 'left') {
-        newState.scoreLeft += 1;
-      } else {
-        newState.scoreRight += 1;
-      }
-
-      // Check for game over
-      if (newState.scoreLeft >= GAME_CONFIG.WIN_SCORE || 
-          newState.scoreRight >= GAME_CONFIG.WIN_SCORE) {
-        newState.over = true;
-        newState.paused = true;
-      }
-
-      return newState;
-    });
-
-    // Reset for next round
-    this.resetPositions();
-    this.resetBall(side === 'right'); // Ball goes to opposite side
+    const effects = state.effects.map(effect => ({
+      type: effect.type,
+      side: effect.side,
+      remaining: Math.ceil(effect.remaining)
+    }));
+    const currentEffects = get(activePowerUps);
+    if (effects.length !== currentEffects.length ||
+        effects.some((effect, i) => Object.keys(effect).some(key => effect[key] !== currentEffects[i][key]))) {
+      activePowerUps.set(effects);
+    }
   },
 
   // Update canvas dimensions
   updateCanvas(width, height, dpr = 1) {
     canvas.set({ width, height, dpr });
-    this.resetPositions();
-  },
-
-  // Update paddle position
-  updatePaddlePosition(side, y) {
-    paddles.update($paddles => {
-      canvas.update($canvas => {
-        const maxY = $canvas.height - $paddles[side].height;
-        $paddles[side].y = Math.max(0, Math.min(maxY, y));
-        return $canvas;
-      });
-      return $paddles;
-    });
-  },
-
-  // Update ball position
-  updateBallPosition(x, y, vx, vy) {
-    ball.set({ x, y, vx, vy });
   }
 };
@@ -0,0 +1,320 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { AI_DIFFICULTIES } from './ai.js';
+import { summarizeMatchStats } from './matchStats.js';
+
+/**
+ * Match history
+ * Every finished match is stored in IndexedDB as a match record. History
+ * summaries (win rates, streaks, the high-score table) are worked out from
+ * the records when needed rather than stored. Against the AI (including
+ * tournament ladder matches) the player is always the left paddle; two-player
+ * matches are kept but have no "player" to credit with a win or a high score,
+ * and neither do online matches.
+ */
+
+const DB_NAME = 'pong-svelte';
+const DB_VERSION = 1;
+const STORE_NAME = 'matches';
+
+// Version of exported history files
+export const HISTORY_VERSION = 1;
+
+// Rows in the high-score table
+export const HIGH_SCORE_SLOTS = 10;
+
+// High-score multiplier per AI difficulty: beating a better AI is worth more
+const DIFFICULTY_MULTIPLIERS = {
+  easy: 1,
+  normal: 2,
+  hard: 3,
+  impossible: 5
+};
+
+let databasePromise = null;
+
+/**
+ * Check whether a match was played against the AI
+ */
+function isVsAI(match) {
+  return GAME_CONFIG.MODES[match.mode]?.vsAI === true;
+}
+
+/**
+ * Open (and on first use create) the history database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('date', 'date');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again after a failure
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run work against the matches store in one transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} work - Called with the object store; may return an IDBRequest
+ * @returns {Promise<*>} Result of the returned request once the transaction completes
+ */
+async function withStore(mode, work) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = work(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Build the history record for a finished match
+ * @param {object} options - Match details
+ * @param {object} options.state - Final simulation state
+ * @param {object} options.stats - Match stats (see matchStats.js)
+ * @param {string} options.mode - Game mode (see GAME_CONFIG.MODES)
+ * @param {string} options.difficulty - AI difficulty key
+ * @param {string} options.personality - AI personality key
+ * @param {string|null} [options.opponent] - Name of the ladder opponent
+ * @returns {object} Match record (without an id until saved)
+ */
+export function createMatchRecord({ state, stats, mode, difficulty, personality, opponent = null }) {
+  const winner = state.gamesLeft > state.gamesRight ? 'left' : 'right';
+  const points = { left: 0, right: 0 };
+  for (const point of stats.points) {
+    points[point.scorer] += 1;
+  }
+
+  const vsAI = isVsAI({ mode });
+  const record = {
+    date: new Date().toISOString(),
+    mode,
+    difficulty: vsAI ? difficulty : null,
+    personality: vsAI ? personality : null,
+    opponent,
+    rules: state.rules.name,
+    seed: state.seed,
+    winner,
+    games: { left: state.gamesLeft, right: state.gamesRight },
+    // Score of the deciding game
+    score: { left: state.scoreLeft, right: state.scoreRight },
+    points,
+    // Match time in seconds, not counting pauses (tick restarts with every match)
+    duration: state.tick * GAME_CONFIG.FIXED_TIMESTEP,
+    stats: summarizeMatchStats(stats),
+    initials: null
+  };
+  return { ...record, highScore: scoreMatch(record) };
+}
+
+/**
+ * Arcade score for the player's side of a match against the AI:
+ * 100 per point won, 10 per hit in the longest rally and 1000 for the win,
+ * times the difficulty multiplier
+ * @param {object} record - Match record
+ * @returns {number|null} Score, or null for two-player matches
+ */
+export function scoreMatch(record) {
+  if (!isVsAI(record)) return null;
+
+  const base = record.points.left * 100 +
+    record.stats.longestRally * 10 +
+    (record.winner === 'left' ? 1000 : 0);
+  return base * (DIFFICULTY_MULTIPLIERS[record.difficulty] ?? 1);
+}
+
+/**
+ * Keep the matches played at one AI difficulty
+ * @param {object[]} matches - Match records
+ * @param {string} difficulty - AI difficulty key, 'pvp' for two-player (local or online) matches or 'all'
+ * @returns {object[]} Matching records
+ */
+export function filterMatches(matches, difficulty) {
+  if (difficulty === 'all') return matches;
+  if (difficulty === 'pvp') return matches.filter(match => !isVsAI(match));
+  return matches.filter(match => isVsAI(match) && match.difficulty === difficulty);
+}
+
+/**
+ * Win rates and streaks of the player against the AI
+ * @param {object[]} matches - Match records, oldest first
+ * @returns {object} {winRates: {[difficulty]: {played, won, rate}}, currentStreak, bestStreak}
+ */
+export function summarizeHistory(matches) {
+  const aiMatches = matches.filter(isVsAI);
+
+  const winRates = Object.fromEntries(Object.keys(AI_DIFFICULTIES).map(difficulty => {
+    const played = aiMatches.filter(match => match.difficulty === difficulty);
+    const won = played.filter(match => match.winner === 'left').length;
+    return [difficulty, { played: played.length, won, rate: played.length ? won / played.length : null }];
+  }));
+
+  let currentStreak = 0;
+  let bestStreak = 0;
+  for (const match of aiMatches) {
+    currentStreak = match.winner === 'left' ? currentStreak + 1 : 0;
+    bestStreak = Math.max(bestStreak, currentStreak);
+  }
+
+  return { winRates, currentStreak, bestStreak };
+}
+
+/**
+ * Best scores against the AI, highest first (earlier matches win ties)
+ * @param {object[]} matches - Match records, oldest first
+ * @param {number} [limit] - Number of rows
+ * @returns {object[]} Match records
+ */
+export function getHighScores(matches, limit = HIGH_SCORE_SLOTS) {
+  return matches
+    .filter(match => match.highScore !== null)
+    .map((match, index) => ({ match, index }))
+    .sort((a, b) => b.match.highScore - a.match.highScore || a.index - b.index)
+    .slice(0, limit)
+    .map(({ match }) => match);
+}
+
+/**
+ * Clean up initials typed by the player: up to three letters or digits
+ * @param {string} text - Typed initials
+ * @returns {string} Initials, e.g. 'AAA'
+ */
+export function normalizeInitials(text) {
+  return String(text).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+}
+
+/**
+ * Check an imported record has the fields the history views read
+ */
+function isValidRecord(record) {
+  return typeof record === 'object' && record !== null &&
+    typeof record.date === 'string' && !Number.isNaN(Date.parse(record.date)) &&
+    typeof record.mode === 'string' && Object.hasOwn(GAME_CONFIG.MODES, record.mode) &&
+    (record.winner === 'left' || record.winner === 'right') &&
+    typeof record.games?.left === 'number' && typeof record.games?.right === 'number' &&
+    typeof record.score?.left === 'number' && typeof record.score?.right === 'number' &&
+    typeof record.points?.left === 'number' && typeof record.points?.right === 'number' &&
+    typeof record.duration === 'number' &&
+    typeof record.stats?.longestRally === 'number' && typeof record.stats?.topSpeed === 'number';
+}
+
+/**
+ * Export match records as JSON that parseHistory can read back
+ * @param {object[]} matches - Match records
+ * @returns {string} JSON text
+ */
+export function serializeHistory(matches) {
+  return JSON.stringify({
+    version: HISTORY_VERSION,
+    exportedAt: new Date().toISOString(),
+    matches: matches.map(({ id, ...record }) => record)
+  });
+}
+
+/**
+ * Parse and validate an exported history
+ * @param {string} text - JSON text
+ * @returns {object[]} Match records (without ids)
+ * @throws {Error} If the file is not a usable history
+ */
+export function parseHistory(text) {
+  let history;
+  try {
+    history = JSON.parse(text);
+  } catch {
+    throw new Error('History file is not valid JSON');
+  }
+
+  if (!history || history.version !== HISTORY_VERSION) {
+    throw new Error(`Unsupported history version: ${history?.version}`);
+  }
+
+  if (!Array.isArray(history.matches)) {
+    throw new Error('History file has no matches');
+  }
+
+  const invalid = history.matches.findIndex(record => !isValidRecord(record));
+  if (invalid !== -1) {
+    throw new Error(`History match ${invalid + 1} is missing required fields`);
+  }
+
+  return history.matches.map(({ id, ...record }) => ({
+    ...record,
+    initials: typeof record.initials === 'string' ? normalizeInitials(record.initials) || null : null,
+    opponent: typeof record.opponent === 'string' ? record.opponent : null,
+    // Scores are recomputed so an edited file cannot top the table
+    highScore: scoreMatch(record)
+  }));
+}
+
+/**
+ * Load every saved match, oldest first
+ * @returns {Promise<object[]>} Match records
+ */
+export function loadMatchRecords() {
+  return withStore('readonly', store => store.index('date').getAll());
+}
+
+/**
+ * Save a finished match
+ * @param {object} record - Match record from createMatchRecord
+ * @returns {Promise<number>} Id of the saved record
+ */
+export function saveMatchRecord(record) {
+  return withStore('readwrite', store => store.add(record));
+}
+
+/**
+ * Set the initials on a saved match
+ * @param {number} id - Record id
+ * @param {string} initials - Initials (see normalizeInitials)
+ * @returns {Promise<void>}
+ */
+export function setMatchInitials(id, initials) {
+  return withStore('readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, initials });
+      }
+    };
+  });
+}
+
+/**
+ * Add imported matches, skipping any already in the history (same finish time)
+ * @param {object[]} records - Match records from parseHistory
+ * @returns {Promise<number>} Number of matches added
+ */
+export async function importMatchRecords(records) {
+  const existing = new Set((await loadMatchRecords()).map(match => match.date));
+  const added = records.filter(record => {
+    if (existing.has(record.date)) return false;
+    existing.add(record.date);
+    return true;
+  });
+
+  await withStore('readwrite', store => {
+    for (const record of added) {
+      store.add(record);
+    }
+  });
+  return added.length;
+}
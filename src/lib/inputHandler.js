@@ -1,113 +1,364 @@
-import { isKeyForAction } from './gameConfig.js';
+import { GAME_CONFIG } from './gameConfig.js';
+import { createDefaultBindings, isKeyForAction } from './keyBindings.js';
+import { clamp } from './physics.js';
 
 /**
- * Input handling module for keyboard and touch controls
+ * Input handling module for keyboard, touch and gamepad controls
  * Provides centralized input management for the game
  */
 
+const SIDES = ['left', 'right'];
+
+// Input types that take typed text, where keys are not game input
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'number', 'password', 'tel', 'url'];
+
 /**
- * Create an input handler that manages keyboard and touch input
- * @param {function} onKeyAction - Callback for key actions (action, pressed)
- * @param {function} onTouchMove - Callback for touch movement (y)
- * @returns {object} Input handler with attach/detach methods
+ * Check whether a key event is aimed at a text field (e.g. high-score initials)
  */
-export function createInputHandler(onKeyAction, onTouchMove) {
+function isTextEntry(target) {
+  if (!target) return false;
+  return target.isContentEditable === true ||
+    target.tagName === 'TEXTAREA' ||
+    (target.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type));
+}
+
+/**
+ * Create an input handler that manages keyboard, touch and gamepad input
+ * @param {function} onKeyAction - Callback for key actions (action, value, side);
+ *   'move' reports the movement (-1 to 1) of the paddle on `side`, 'serve' a
+ *   serve request from that paddle's player
+ * @param {function} onTouchMove - Callback for touch and mouse drags (side, deltaY):
+ *   how far a pointer on that half of the canvas moved, in CSS pixels
+ * @param {function} [onGamepadsChange] - Callback with the connected gamepads
+ *   ([{index, id, side}]) whenever one is plugged, unplugged or reassigned
+ * @param {function} [onActivity] - Called on any key press, click, tap or
+ *   gamepad use, after the input's own action has been reported
+ * @returns {object} Input handler with attach/detach/poll methods
+ */
+export function createInputHandler(onKeyAction, onTouchMove, onGamepadsChange, onActivity) {
   const activeKeys = new Set();
-  let touchActive = false;
+  let bindings = createDefaultBindings();
+  // Pointers down on the canvas by pointerId: {side, lastY, startX, startY,
+  // startTime, moved, partner (pointerId of a possible two-finger tap), partnerTapped}
+  const pointers = new Map();
+
+  // Connected gamepads by index: {id, side, buttons (previous pressed state)}
+  const gamepads = new Map();
+  const keyboardMovement = { left: 0, right: 0 };
+  const gamepadMovement = { left: 0, right: 0 };
+  const reportedMovement = { left: 0, right: 0 };
+
+  /**
+   * Find which paddle a movement key belongs to
+   */
+  function getKeySide(code) {
+    return SIDES.find(side =>
+      isKeyForAction(bindings, code, 'up', side) || isKeyForAction(bindings, code, 'down', side)) ?? null;
+  }
 
   /**
    * Handle key down events
    */
   function handleKeyDown(event) {
-    const key = event.key.toLowerCase();
+    const key = event.code;
+    
+    if (isTextEntry(event.target)) return;
     
     // Prevent default for game keys
-    if (isKeyForAction(key, 'pause') || isKeyForAction(key, 'restart')) {
+    if (isKeyForAction(bindings, key, 'pause') || isKeyForAction(bindings, key, 'restart')) {
       event.preventDefault();
     }
     
-    // Handle action keys (pause, restart)
-    if (isKeyForAction(key, 'pause')) {
-      onKeyAction?.('pause', true);
+    // Handle action keys (pause, restart); holding one down acts only once
+    if (isKeyForAction(bindings, key, 'pause')) {
+      if (!event.repeat) onKeyAction?.('pause', true);
+      return;
+    }
+    
+    if (isKeyForAction(bindings, key, 'restart')) {
+      if (!event.repeat) onKeyAction?.('restart', true);
       return;
     }
     
-    if (isKeyForAction(key, 'restart')) {
-      onKeyAction?.('restart', true);
+    // Handle serve keys
+    const serveSide = SIDES.find(s => isKeyForAction(bindings, key, 'serve', s));
+    if (serveSide) {
+      event.preventDefault();
+      if (!event.repeat) onKeyAction?.('serve', true, serveSide);
       return;
     }
     
     // Handle movement keys
-    if (isKeyForAction(key, 'up') || isKeyForAction(key, 'down')) {
+    const side = getKeySide(key);
+    if (side) {
       if (!activeKeys.has(key)) {
         activeKeys.add(key);
-        updateMovementState();
+        updateMovementState(side);
       }
     }
   }
 
+  /**
+   * Report any key press as activity, after handleKeyDown has dealt with it
+   */
+  function handleActivityKey(event) {
+    if (!isTextEntry(event.target)) onActivity?.();
+  }
+
   /**
    * Handle key up events
    */
   function handleKeyUp(event) {
-    const key = event.key.toLowerCase();
+    const key = event.code;
     
     if (activeKeys.has(key)) {
       activeKeys.delete(key);
-      updateMovementState();
+      updateMovementState(getKeySide(key));
     }
   }
 
   /**
-   * Update movement state based on active keys
+   * Update one paddle's movement state based on active keys
    */
-  function updateMovementState() {
-    let movement = 0;
-    
-    // Check for up movement
-    const upPressed = Array.from(activeKeys).some(key => isKeyForAction(key, 'up'));
-    if (upPressed) movement -= 1;
-    
-    // Check for down movement
-    const downPressed = Array.from(activeKeys).some(key => isKeyForAction(key, 'down'));
-    if (downPressed) movement += 1;
+  function updateMovementState(side) {
+    keyboardMovement[side] = calculateMovement(activeKeys, side, bindings);
+    reportMovement(side);
+  }
+
+  /**
+   * Report a paddle's combined keyboard and gamepad movement if it changed
+   */
+  function reportMovement(side) {
+    const movement = clamp(keyboardMovement[side] + gamepadMovement[side], -1, 1);
+    if (movement !== reportedMovement[side]) {
+      reportedMovement[side] = movement;
+      onKeyAction?.('move', movement, side);
+    }
+  }
+
+  /**
+   * Pick a side for a newly connected gamepad: the first free paddle, else left
+   */
+  function getDefaultSide() {
+    const taken = new Set(Array.from(gamepads.values(), pad => pad.side));
+    return SIDES.find(side => !taken.has(side)) ?? 'left';
+  }
+
+  /**
+   * Notify listeners about the connected gamepads
+   */
+  function notifyGamepads() {
+    onGamepadsChange?.(getGamepads());
+  }
+
+  /**
+   * Start tracking a gamepad
+   */
+  function addGamepad(pad) {
+    if (!pad || gamepads.has(pad.index)) return;
+
+    gamepads.set(pad.index, {
+      id: pad.id,
+      side: getDefaultSide(),
+      buttons: pad.buttons.map(button => button.pressed)
+    });
+    notifyGamepads();
+  }
+
+  /**
+   * Stop tracking a gamepad and release its paddle
+   */
+  function removeGamepad(index) {
+    if (!gamepads.delete(index)) return;
+    notifyGamepads();
+  }
+
+  /**
+   * Handle gamepad hot-plug events
+   */
+  function handleGamepadConnected(event) {
+    addGamepad(event.gamepad);
+  }
+
+  function handleGamepadDisconnected(event) {
+    removeGamepad(event.gamepad.index);
+  }
+
+  /**
+   * Convert a stick axis into movement, with the dead zone removed
+   */
+  function readStick(value) {
+    const deadzone = GAME_CONFIG.GAMEPAD.DEADZONE;
+    if (Math.abs(value) < deadzone) return 0;
+    return Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone);
+  }
+
+  /**
+   * Poll connected gamepads; call once per engine tick
+   * The stick gives proportional movement, the d-pad full-speed movement,
+   * A serves, Start and Select fire pause and restart when pressed
+   */
+  function poll() {
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ?
+      Array.from(navigator.getGamepads()) :
+      [];
+    const buttons = GAME_CONFIG.GAMEPAD.BUTTONS;
+    const nextMovement = { left: 0, right: 0 };
+    const seen = new Set();
+    let active = false;
+
+    for (const pad of pads) {
+      if (!pad?.connected) continue;
+
+      // Some browsers only expose pads through polling
+      addGamepad(pad);
+      seen.add(pad.index);
+
+      const tracked = gamepads.get(pad.index);
+      const pressed = pad.buttons.map(button => button.pressed);
+      const justPressed = index => pressed[index] && !tracked.buttons[index];
+
+      let movement = readStick(pad.axes[GAME_CONFIG.GAMEPAD.STICK_AXIS] ?? 0);
+      if (pressed[buttons.up]) movement = -1;
+      if (pressed[buttons.down]) movement = 1;
+      nextMovement[tracked.side] = clamp(nextMovement[tracked.side] + movement, -1, 1);
+
+      if (justPressed(buttons.serve)) onKeyAction?.('serve', true, tracked.side);
+      if (justPressed(buttons.pause)) onKeyAction?.('pause', true);
+      if (justPressed(buttons.restart)) onKeyAction?.('restart', true);
+      if (movement !== 0 || pressed.some((_, index) => justPressed(index))) active = true;
+
+      tracked.buttons = pressed;
+    }
+
+    // Forget pads that vanished without a disconnect event
+    for (const index of Array.from(gamepads.keys())) {
+      if (!seen.has(index)) removeGamepad(index);
+    }
+
+    SIDES.forEach(side => {
+      gamepadMovement[side] = nextMovement[side];
+      reportMovement(side);
+    });
     
-    onKeyAction?.('move', movement);
+    if (active) onActivity?.();
+  }
+
+  /**
+   * Use new key bindings; keys held down are released
+   * @param {object} nextBindings - Bindings (see keyBindings.js)
+   */
+  function setBindings(nextBindings) {
+    bindings = nextBindings;
+    activeKeys.clear();
+    SIDES.forEach(updateMovementState);
+  }
+
+  /**
+   * Assign a connected gamepad to a paddle
+   * @param {number} index - Gamepad index
+   * @param {string} side - 'left' or 'right'
+   */
+  function assignGamepad(index, side) {
+    const tracked = gamepads.get(index);
+    if (!tracked || !SIDES.includes(side)) return;
+
+    tracked.side = side;
+    notifyGamepads();
+  }
+
+  /**
+   * List connected gamepads and their paddle assignment
+   */
+  function getGamepads() {
+    return Array.from(gamepads, ([index, pad]) => ({ index, id: pad.id, side: pad.side }));
+  }
+
+  /**
+   * Check whether a pointer's press so far still counts as a tap
+   */
+  function isTap(pointer, time) {
+    return !pointer.moved && time - pointer.startTime <= GAME_CONFIG.TOUCH.TAP_TIME;
   }
 
   /**
    * Handle pointer down events (touch/mouse)
+   * The half of the canvas a pointer lands on picks the paddle it drives
    */
   function handlePointerDown(event) {
-    const x = event.offsetX;
-    const canvasWidth = event.target.offsetWidth;
-    
-    // Only activate touch on left half of screen
-    if (x <= canvasWidth * 0.5) {
-      touchActive = true;
-      
-      // Also trigger pause on touch if game supports it
-      if (event.type === 'touchstart' && event.touches?.length === 1) {
-        onKeyAction?.('pause', true);
+    const target = event.currentTarget ?? event.target;
+    const bounds = target.getBoundingClientRect();
+    const side = event.clientX - bounds.left <= bounds.width * 0.5 ? 'left' : 'right';
+    
+    // Keep receiving the drag when the finger slides off the canvas
+    target.setPointerCapture?.(event.pointerId);
+    
+    // A second finger landing while the first is still a tap may be a two-finger tap
+    const others = Array.from(pointers.entries());
+    let partner = null;
+    if (others.length === 1) {
+      const [otherId, other] = others[0];
+      if (other.partner === null && isTap(other, event.timeStamp)) {
+        other.partner = event.pointerId;
+        partner = otherId;
       }
     }
+    
+    pointers.set(event.pointerId, {
+      side,
+      lastY: event.clientY,
+      startX: event.clientX,
+      startY: event.clientY,
+      startTime: event.timeStamp,
+      moved: false,
+      partner,
+      partnerTapped: false
+    });
+  }
+
+  function handleActivityPointer() {
+    onActivity?.();
   }
 
   /**
-   * Handle pointer move events
+   * Handle pointer move events: report how far the pointer moved since the last event
    */
   function handlePointerMove(event) {
-    if (!touchActive) return;
+    const pointer = pointers.get(event.pointerId);
+    if (!pointer) return;
+    
+    const drift = Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY);
+    if (drift > GAME_CONFIG.TOUCH.TAP_DISTANCE) pointer.moved = true;
     
-    const y = event.offsetY;
-    onTouchMove?.(y);
+    const deltaY = event.clientY - pointer.lastY;
+    pointer.lastY = event.clientY;
+    if (deltaY !== 0) onTouchMove?.(pointer.side, deltaY);
   }
 
   /**
-   * Handle pointer up/leave events
+   * Handle pointer up/cancel events
+   * A one-finger tap serves from its side; two fingers tapped together pause
    */
-  function handlePointerUp() {
-    touchActive = false;
+  function handlePointerUp(event) {
+    const pointer = pointers.get(event.pointerId);
+    if (!pointer) return;
+    
+    pointers.delete(event.pointerId);
+    const tapped = event.type !== 'pointercancel' && isTap(pointer, event.timeStamp);
+    
+    if (pointer.partner === null) {
+      if (tapped) onKeyAction?.('serve', true, pointer.side);
+      return;
+    }
+    
+    // The first finger of a pair up waits for the second
+    const partner = pointers.get(pointer.partner);
+    if (partner) {
+      partner.partnerTapped = tapped;
+      return;
+    }
+    
+    if (tapped && pointer.partnerTapped) onKeyAction?.('pause', true);
   }
 
   /**
@@ -118,12 +369,21 @@ export function createInputHandler(onKeyAction, onTouchMove) {
     window.addEventListener('keydown', handleKeyDown, { passive: false });
     window.addEventListener('keyup', handleKeyUp);
     
+    // Activity listeners go last so the input's own action is reported first;
+    // pointer presses anywhere on the page count, not just on the canvas
+    window.addEventListener('keydown', handleActivityKey);
+    window.addEventListener('pointerdown', handleActivityPointer);
+    
+    // Gamepad hot-plugging
+    window.addEventListener('gamepadconnected', handleGamepadConnected);
+    window.addEventListener('gamepaddisconnected', handleGamepadDisconnected);
+    
     // Pointer events on canvas
     if (canvas) {
       canvas.addEventListener('pointerdown', handlePointerDown);
       canvas.addEventListener('pointermove', handlePointerMove);
       canvas.addEventListener('pointerup', handlePointerUp);
-      canvas.addEventListener('pointerleave', handlePointerUp);
+      canvas.addEventListener('pointercancel', handlePointerUp);
     }
   }
 
@@ -134,18 +394,23 @@ export function createInputHandler(onKeyAction, onTouchMove) {
     // Remove keyboard events
     window.removeEventListener('keydown', handleKeyDown);
     window.removeEventListener('keyup', handleKeyUp);
+    window.removeEventListener('keydown', handleActivityKey);
+    window.removeEventListener('pointerdown', handleActivityPointer);
+    window.removeEventListener('gamepadconnected', handleGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', handleGamepadDisconnected);
     
     // Remove pointer events
     if (canvas) {
       canvas.removeEventListener('pointerdown', handlePointerDown);
       canvas.removeEventListener('pointermove', handlePointerMove);
       canvas.removeEventListener('pointerup', handlePointerUp);
-      canvas.removeEventListener('pointerleave', handlePointerUp);
+      canvas.removeEventListener('pointercancel', handlePointerUp);
     }
     
     // Clear state
     activeKeys.clear();
-    touchActive = false;
+    gamepads.clear();
+    pointers.clear();
   }
 
   /**
@@ -154,15 +419,21 @@ export function createInputHandler(onKeyAction, onTouchMove) {
   function getState() {
     return {
       activeKeys: new Set(activeKeys),
-      touchActive,
-      isMovingUp: Array.from(activeKeys).some(key => isKeyForAction(key, 'up')),
-      isMovingDown: Array.from(activeKeys).some(key => isKeyForAction(key, 'down'))
+      touchActive: pointers.size > 0,
+      movement: { ...reportedMovement },
+      gamepads: getGamepads(),
+      isMovingUp: Array.from(activeKeys).some(key => isKeyForAction(bindings, key, 'up')),
+      isMovingDown: Array.from(activeKeys).some(key => isKeyForAction(bindings, key, 'down'))
     };
   }
 
   return {
     attach,
     detach,
+    poll,
+    setBindings,
+    assignGamepad,
+    getGamepads,
     getState,
     // Expose for testing
     _handleKeyDown: handleKeyDown,
@@ -175,16 +446,18 @@ export function createInputHandler(onKeyAction, onTouchMove) {
 
 /**
  * Simple movement calculator that can be used independently
- * @param {Set} activeKeys - Set of currently pressed keys
+ * @param {Set} activeKeys - Set of currently pressed key codes
+ * @param {string} [side] - Only consider one paddle's keys ('left' or 'right')
+ * @param {object} [bindings] - Key bindings (the defaults if omitted)
  * @returns {number} Movement value (-1 for up, 0 for none, 1 for down)
  */
-export function calculateMovement(activeKeys) {
+export function calculateMovement(activeKeys, side = null, bindings = createDefaultBindings()) {
   let movement = 0;
   
-  const upPressed = Array.from(activeKeys).some(key => isKeyForAction(key, 'up'));
+  const upPressed = Array.from(activeKeys).some(key => isKeyForAction(bindings, key, 'up', side));
   if (upPressed) movement -= 1;
   
-  const downPressed = Array.from(activeKeys).some(key => isKeyForAction(key, 'down'));
+  const downPressed = Array.from(activeKeys).some(key => isKeyForAction(bindings, key, 'down', side));
   if (downPressed) movement += 1;
   
   return movement;
@@ -0,0 +1,152 @@
+import { GAME_CONFIG } from './gameConfig.js';
+
+/**
+ * Key bindings
+ * Bindings map each action to a list of KeyboardEvent.code values:
+ * {shared: {pause, restart}, left: {up, down, serve}, right: {up, down, serve}}.
+ * Codes name the physical key, so the default W/S work as Z/S on AZERTY;
+ * labels shown to players come from the keyboard layout when the browser
+ * exposes it.
+ */
+
+// Actions that can be rebound, by binding group
+export const BINDABLE_ACTIONS = {
+  shared: ['pause', 'restart'],
+  player: ['up', 'down', 'serve']
+};
+
+export const ACTION_LABELS = {
+  up: 'Move up',
+  down: 'Move down',
+  serve: 'Serve',
+  pause: 'Pause',
+  restart: 'Restart'
+};
+
+// Display labels for codes that do not map to a single character
+const CODE_LABELS = {
+  Space: 'Space',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  Backspace: 'Backspace',
+  ShiftLeft: 'Left Shift',
+  ShiftRight: 'Right Shift',
+  ControlLeft: 'Left Ctrl',
+  ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt',
+  AltRight: 'Right Alt'
+};
+
+/**
+ * Fresh copy of the default bindings from GAME_CONFIG
+ * @returns {object} Bindings {shared, left, right}
+ */
+export function createDefaultBindings() {
+  const copy = group => Object.fromEntries(
+    Object.entries(group).map(([action, codes]) => [action, [...codes]])
+  );
+
+  return {
+    shared: copy(GAME_CONFIG.KEYS),
+    left: copy(GAME_CONFIG.PLAYER_KEYS.left),
+    right: copy(GAME_CONFIG.PLAYER_KEYS.right)
+  };
+}
+
+/**
+ * Get all keys bound to an action
+ * @param {object} bindings - Current bindings
+ * @param {string} action - Action name (up, down, serve, pause, restart)
+ * @param {string} [side] - 'left' or 'right' for per-paddle keys; omit for both paddles
+ * @returns {string[]} Key codes
+ */
+export function getKeysForAction(bindings, action, side = null) {
+  if (bindings.shared[action]) {
+    return bindings.shared[action];
+  }
+
+  const sides = side ? [side] : ['left', 'right'];
+  return sides.flatMap(s => bindings[s]?.[action] || []);
+}
+
+/**
+ * Check if a key corresponds to a specific action
+ * @param {object} bindings - Current bindings
+ * @param {string} code - KeyboardEvent.code
+ * @param {string} action - Action name
+ * @param {string} [side] - Restrict per-paddle keys to one paddle
+ * @returns {boolean} True if the key triggers the action
+ */
+export function isKeyForAction(bindings, code, action, side = null) {
+  return getKeysForAction(bindings, action, side).includes(code);
+}
+
+/**
+ * Bind a single key to an action, replacing its previous keys
+ * @param {object} bindings - Current bindings
+ * @param {string} group - 'shared', 'left' or 'right'
+ * @param {string} action - Action name
+ * @param {string} code - KeyboardEvent.code
+ * @returns {object} New bindings
+ */
+export function rebindKey(bindings, group, action, code) {
+  return {
+    ...bindings,
+    [group]: { ...bindings[group], [action]: [code] }
+  };
+}
+
+/**
+ * Find keys bound to more than one action
+ * @param {object} bindings - Current bindings
+ * @returns {object[]} [{code, actions: [{group, action}]}]
+ */
+export function findConflicts(bindings) {
+  const uses = new Map();
+  for (const [group, actions] of Object.entries(bindings)) {
+    for (const [action, codes] of Object.entries(actions)) {
+      for (const code of codes) {
+        uses.set(code, [...(uses.get(code) ?? []), { group, action }]);
+      }
+    }
+  }
+
+  return Array.from(uses, ([code, actions]) => ({ code, actions }))
+    .filter(({ actions }) => actions.length > 1);
+}
+
+/**
+ * Read the keyboard layout, so labels show what is printed on the player's keys
+ * @returns {Promise<Map|null>} Layout map from code to character, or null if unsupported
+ */
+export async function loadKeyboardLayout() {
+  try {
+    return await navigator.keyboard?.getLayoutMap?.() ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get a short label for a key, for prompts and hints
+ * @param {string} code - KeyboardEvent.code
+ * @param {Map} [layout] - Keyboard layout from loadKeyboardLayout
+ * @returns {string} Label, e.g. 'W' (or 'Z' on AZERTY) or '↑'
+ */
+export function formatKey(code, layout = null) {
+  if (!code) return '—';
+  if (CODE_LABELS[code]) return CODE_LABELS[code];
+
+  const character = layout?.get(code);
+  if (character) return character.toUpperCase();
+
+  // KeyW -> W, Digit1 -> 1, Numpad4 -> Num 4
+  return code
+    .replace(/^Key/, '')
+    .replace(/^Digit/, '')
+    .replace(/^Numpad/, 'Num ');
+}
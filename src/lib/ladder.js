@@ -0,0 +1,178 @@
+import { AI_DIFFICULTIES, AI_PERSONALITIES } from './ai.js';
+import { MATCH_RULES } from './matchRules.js';
+
+/**
+ * Tournament ladder
+ * A single-player campaign of named AI opponents beaten in order. Each rung
+ * combines an AI difficulty and personality with a ruleset; the last rung is
+ * the boss. Progress records how far up the ladder the player has reached
+ * and every rung's win/loss record.
+ */
+
+/**
+ * Rungs from the bottom of the ladder to the boss
+ * - difficulty: key of AI_DIFFICULTIES
+ * - personality: key of AI_PERSONALITIES
+ * - rules: key of MATCH_RULES
+ * - arcade / chaos: power-ups and multi-ball for the match
+ */
+export const LADDER = [
+  {
+    id: 'pip',
+    name: 'Pip',
+    title: 'The Rookie',
+    difficulty: 'easy',
+    personality: 'balanced',
+    rules: 'classic',
+    arcade: false,
+    chaos: false
+  },
+  {
+    id: 'dizzy',
+    name: 'Dizzy Dee',
+    title: 'The Wildcard',
+    difficulty: 'easy',
+    personality: 'erratic',
+    rules: 'classic',
+    arcade: false,
+    chaos: true
+  },
+  {
+    id: 'block',
+    name: 'Sergeant Block',
+    title: 'The Wall',
+    difficulty: 'normal',
+    personality: 'defensive',
+    rules: 'deuce',
+    arcade: false,
+    chaos: false
+  },
+  {
+    id: 'blaze',
+    name: 'Blaze',
+    title: 'The Hothead',
+    difficulty: 'hard',
+    personality: 'aggressive',
+    rules: 'timed',
+    arcade: true,
+    chaos: false
+  },
+  {
+    id: 'professor',
+    name: 'Professor Spin',
+    title: 'The Tactician',
+    difficulty: 'hard',
+    personality: 'balanced',
+    rules: 'bestOf3',
+    arcade: false,
+    chaos: false
+  },
+  {
+    id: 'machine',
+    name: 'The Machine',
+    title: 'Champion',
+    difficulty: 'impossible',
+    personality: 'aggressive',
+    rules: 'bestOf3',
+    arcade: false,
+    chaos: false,
+    boss: true
+  }
+];
+
+/**
+ * Progress before any ladder match
+ * @returns {object} Progress {reached, results}: reached is the index of the
+ *   highest unlocked rung (LADDER.length once the boss is beaten), results
+ *   the {played, won} record per rung id
+ */
+export function createLadderProgress() {
+  return {
+    reached: 0,
+    results: {}
+  };
+}
+
+/**
+ * Clean up stored progress: unknown rungs and malformed records are dropped
+ * @param {object} stored - Progress from storage
+ * @returns {object} Progress (see createLadderProgress)
+ */
+export function sanitizeLadderProgress(stored) {
+  const progress = createLadderProgress();
+  if (!stored || typeof stored !== 'object') return progress;
+
+  if (Number.isInteger(stored.reached)) {
+    progress.reached = Math.max(0, Math.min(stored.reached, LADDER.length));
+  }
+  for (const rung of LADDER) {
+    const result = stored.results?.[rung.id];
+    if (Number.isInteger(result?.played) && Number.isInteger(result?.won) && result.won >= 0 && result.won <= result.played) {
+      progress.results[rung.id] = { played: result.played, won: result.won };
+    }
+  }
+  return progress;
+}
+
+/**
+ * Record a finished ladder match; beating the highest unlocked rung unlocks the next
+ * @param {object} progress - Progress (see createLadderProgress)
+ * @param {number} index - Rung played
+ * @param {boolean} won - Whether the player won
+ * @returns {object} New progress
+ */
+export function recordLadderMatch(progress, index, won) {
+  const { id } = LADDER[index];
+  const result = progress.results[id] ?? { played: 0, won: 0 };
+  return {
+    reached: won && index === progress.reached ? index + 1 : progress.reached,
+    results: {
+      ...progress.results,
+      [id]: { played: result.played + 1, won: result.won + (won ? 1 : 0) }
+    }
+  };
+}
+
+/**
+ * Where a rung stands for the player
+ * @param {object} progress - Progress
+ * @param {number} index - Rung index
+ * @returns {string} 'beaten', 'current' (the next opponent) or 'locked'
+ */
+export function getRungStatus(progress, index) {
+  if (index < progress.reached) return 'beaten';
+  return index === progress.reached ? 'current' : 'locked';
+}
+
+/**
+ * Check whether the boss has been beaten
+ * @param {object} progress - Progress
+ * @returns {boolean} True once the whole ladder is cleared
+ */
+export function isLadderComplete(progress) {
+  return progress.reached >= LADDER.length;
+}
+
+/**
+ * Rung to play next: the current one, or the boss again once the ladder is cleared
+ * @param {object} progress - Progress
+ * @returns {number} Rung index
+ */
+export function getNextRung(progress) {
+  return Math.min(progress.reached, LADDER.length - 1);
+}
+
+/**
+ * One-line description of a rung's match, e.g. "Hard, Aggressive · Timed · Arcade"
+ * @param {object} rung - Rung from LADDER
+ * @returns {string} Description
+ */
+export function describeRung(rung) {
+  const parts = [
+    `${AI_DIFFICULTIES[rung.difficulty].name}, ${AI_PERSONALITIES[rung.personality].name}`,
+    MATCH_RULES[rung.rules].name
+  ];
+  if (rung.arcade) parts.push('Arcade');
+  if (rung.chaos) parts.push('Chaos');
+  return parts.join(' · ');
+}
@@ -0,0 +1,222 @@
+import { GAME_CONFIG } from './gameConfig.js';
+
+/**
+ * Match rules
+ * A rules object decides when a game is won (target score, two-point margin,
+ * hard cap, time limit) and how many games make up the match
+ */
+
+/**
+ * Preset rulesets
+ * - targetScore: points needed to win a game (null for purely timed games)
+ * - winBy: required lead, 2 for deuce
+ * - scoreCap: optional hard cap where the next point wins regardless of margin
+ * - timeLimit: optional game length in seconds; the leader wins when it runs out,
+ *   a tie goes to sudden death (next point wins)
+ * - bestOf: number of games in the match (1 for a single game)
+ * - serveRotation: 'loser' (the player who lost the point serves) or 'alternate'
+ *   (the serve changes hands every servesPerTurn points)
+ */
+export const MATCH_RULES = {
+  classic: {
+    name: 'Classic',
+    description: 'First to 11',
+    targetScore: GAME_CONFIG.WIN_SCORE,
+    winBy: 1,
+    scoreCap: null,
+    timeLimit: null,
+    bestOf: 1,
+    serveRotation: 'loser',
+    servesPerTurn: 2
+  },
+  deuce: {
+    name: 'Deuce',
+    description: 'First to 11, win by two (capped at 15)',
+    targetScore: GAME_CONFIG.WIN_SCORE,
+    winBy: 2,
+    scoreCap: 15,
+    timeLimit: null,
+    bestOf: 1,
+    serveRotation: 'alternate',
+    servesPerTurn: 2
+  },
+  timed: {
+    name: 'Timed',
+    description: 'Two minutes, sudden death on a tie',
+    targetScore: null,
+    winBy: 1,
+    scoreCap: null,
+    timeLimit: 120,
+    bestOf: 1,
+    serveRotation: 'loser',
+    servesPerTurn: 2
+  },
+  bestOf3: {
+    name: 'Best of 3',
+    description: 'Three games to 11, win by two',
+    targetScore: GAME_CONFIG.WIN_SCORE,
+    winBy: 2,
+    scoreCap: null,
+    timeLimit: null,
+    bestOf: 3,
+    serveRotation: 'alternate',
+    servesPerTurn: 2
+  },
+  bestOf5: {
+    name: 'Best of 5',
+    description: 'Five games to 7, win by two',
+    targetScore: 7,
+    winBy: 2,
+    scoreCap: null,
+    timeLimit: null,
+    bestOf: 5,
+    serveRotation: 'alternate',
+    servesPerTurn: 2
+  }
+};
+
+/**
+ * Fill in defaults for a rules key or a (possibly partial) rules object
+ * @param {string|object} rules - Key of MATCH_RULES or rules object
+ * @returns {object} Complete rules object
+ */
+export function resolveRules(rules = 'classic') {
+  const base = typeof rules === 'string' ? MATCH_RULES[rules] || MATCH_RULES.classic : rules;
+
+  return {
+    ...MATCH_RULES.classic,
+    ...base
+  };
+}
+
+/**
+ * Check whether a game is in sudden death (time is up with scores level)
+ * @param {object} rules - Resolved rules
+ * @param {number} elapsed - Seconds played in the current game
+ * @returns {boolean} True if the next point wins
+ */
+export function isSuddenDeath(rules, elapsed) {
+  return rules.timeLimit !== null && elapsed >= rules.timeLimit;
+}
+
+/**
+ * Decide whether the current game has been won
+ * @param {object} rules - Resolved rules
+ * @param {number} scoreLeft - Left player's points
+ * @param {number} scoreRight - Right player's points
+ * @param {number} elapsed - Seconds played in the current game
+ * @returns {string|null} 'left' or 'right' if that side won the game, null otherwise
+ */
+export function getGameWinner(rules, scoreLeft, scoreRight, elapsed) {
+  const leader = scoreLeft > scoreRight ? 'left' : scoreRight > scoreLeft ? 'right' : null;
+  if (!leader) return null;
+
+  const leaderScore = Math.max(scoreLeft, scoreRight);
+  const lead = Math.abs(scoreLeft - scoreRight);
+
+  // Hard cap: whoever gets there first wins
+  if (rules.scoreCap !== null && leaderScore >= rules.scoreCap) {
+    return leader;
+  }
+
+  if (rules.targetScore !== null && leaderScore >= rules.targetScore && lead >= rules.winBy) {
+    return leader;
+  }
+
+  // Out of time: the leader wins (a tie plays on in sudden death)
+  if (isSuddenDeath(rules, elapsed)) {
+    return leader;
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether the match has been won
+ * @param {object} rules - Resolved rules
+ * @param {number} gamesLeft - Games won by the left player
+ * @param {number} gamesRight - Games won by the right player
+ * @returns {string|null} 'left' or 'right' if that side won the match, null otherwise
+ */
+export function getMatchWinner(rules, gamesLeft, gamesRight) {
+  const gamesNeeded = Math.floor(rules.bestOf / 2) + 1;
+
+  if (gamesLeft >= gamesNeeded) return 'left';
+  if (gamesRight >= gamesNeeded) return 'right';
+  return null;
+}
+
+/**
+ * Pick who serves the next point
+ * @param {object} rules - Resolved rules
+ * @param {object} game - Current game {firstServer, scoreLeft, scoreRight}
+ * @param {string} lastWinner - Side that won the last point (or game)
+ * @returns {string} 'left' or 'right'
+ */
+export function getNextServer(rules, game, lastWinner) {
+  if (rules.serveRotation === 'loser') {
+    return getOpponent(lastWinner);
+  }
+
+  const turns = Math.floor((game.scoreLeft + game.scoreRight) / rules.servesPerTurn);
+  return turns % 2 === 0 ? game.firstServer : getOpponent(game.firstServer);
+}
+
+/**
+ * Pick who serves first in the next game: the game's loser, or whoever
+ * received first in the last game when serves alternate
+ * @param {object} rules - Resolved rules
+ * @param {string} firstServer - First server of the game that just ended
+ * @param {string} gameWinner - Side that won that game
+ * @returns {string} 'left' or 'right'
+ */
+export function getFirstServer(rules, firstServer, gameWinner) {
+  return rules.serveRotation === 'loser' ? getOpponent(gameWinner) : getOpponent(firstServer);
+}
+
+/**
+ * The other side
+ * @param {string} side - 'left' or 'right'
+ * @returns {string} 'right' or 'left'
+ */
+export function getOpponent(side) {
+  return side === 'left' ? 'right' : 'left';
+}
+
+/**
+ * Describe the rules in one sentence for the UI
+ * @param {object} rules - Resolved rules
+ * @returns {string} Description, e.g. "First to 11 points wins!"
+ */
+export function describeRules(rules) {
+  let game;
+  let note = '';
+  if (rules.targetScore === null) {
+    game = `Most points after ${formatClock(rules.timeLimit)}`;
+    note = ', sudden death on a tie';
+  } else {
+    game = `First to ${rules.targetScore} points`;
+    if (rules.winBy > 1) {
+      game += `, win by ${rules.winBy}`;
+      if (rules.scoreCap !== null) game += ` (capped at ${rules.scoreCap})`;
+    }
+    if (rules.timeLimit !== null) {
+      game += `, or the leader after ${formatClock(rules.timeLimit)},`;
+    }
+  }
+
+  if (rules.bestOf > 1) {
+    return `Best of ${rules.bestOf} games. ${game} takes a game${note}!`;
+  }
+  return `${game} wins${note}!`;
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+export function formatClock(seconds) {
+  const whole = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
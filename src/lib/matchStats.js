@@ -0,0 +1,144 @@
+import { PHASES } from './simulation.js';
+
+/**
+ * Match statistics
+ * Built up from the events of each simulation step, so the stats never touch
+ * the simulation state and cannot affect replays. A rally runs from the serve
+ * until the phase leaves the rally; in chaos mode one rally can score several
+ * points.
+ */
+
+// Paddle zones for hit positions, top to bottom
+export const HIT_ZONES = ['Top edge', 'Upper', 'Center', 'Lower', 'Bottom edge'];
+
+/**
+ * Empty stats for a new match
+ * @returns {object} Stats
+ */
+export function createMatchStats() {
+  return {
+    // Paddle hits in each finished rally
+    rallies: [],
+    // Paddle hits so far in the rally in progress
+    rallyHits: 0,
+    hits: { left: 0, right: 0 },
+    // Fastest ball speed reached, in pixels per second
+    topSpeed: 0,
+    // Points played on each side's serve, and how many of them the server won
+    served: { left: 0, right: 0 },
+    wonOnServe: { left: 0, right: 0 },
+    // Paddle hits per zone of HIT_ZONES
+    hitZones: {
+      left: HIT_ZONES.map(() => 0),
+      right: HIT_ZONES.map(() => 0)
+    },
+    // Every point in order: {scorer, server, gameNumber, scoreLeft, scoreRight}
+    points: []
+  };
+}
+
+/**
+ * Copy stats so a step can update them without changing the previous value
+ */
+function copyStats(stats) {
+  return {
+    ...stats,
+    rallies: [...stats.rallies],
+    hits: { ...stats.hits },
+    served: { ...stats.served },
+    wonOnServe: { ...stats.wonOnServe },
+    hitZones: { left: [...stats.hitZones.left], right: [...stats.hitZones.right] },
+    points: [...stats.points]
+  };
+}
+
+/**
+ * Get the zone of HIT_ZONES a paddle hit landed in
+ * @param {number} hitPosition - Position on the paddle (0 top to 1 bottom)
+ * @returns {number} Zone index
+ */
+export function getHitZone(hitPosition) {
+  return Math.min(HIT_ZONES.length - 1, Math.floor(hitPosition * HIT_ZONES.length));
+}
+
+/**
+ * Add one simulation step to the stats
+ * @param {object} stats - Stats so far
+ * @param {object} previous - Simulation state before the step
+ * @param {object} next - Simulation state after the step, with its events
+ * @returns {object} Updated stats, or the same object when nothing changed
+ */
+export function updateMatchStats(stats, previous, next) {
+  const rallyEnded = previous.phase === PHASES.RALLY && next.phase !== PHASES.RALLY;
+  if (next.events.length === 0 && !rallyEnded) return stats;
+
+  const updated = copyStats(stats);
+  // Scores are tracked point by point: a game won this step has already reset them in next
+  let scoreLeft = previous.scoreLeft;
+  let scoreRight = previous.scoreRight;
+
+  for (const event of next.events) {
+    if (event.type === 'paddle') {
+      updated.hits[event.side] += 1;
+      updated.hitZones[event.side][getHitZone(event.hitPosition)] += 1;
+      updated.rallyHits += 1;
+    } else if (event.type === 'score') {
+      if (event.side === 'left') {
+        scoreLeft += 1;
+      } else {
+        scoreRight += 1;
+      }
+      updated.served[previous.server] += 1;
+      if (event.side === previous.server) {
+        updated.wonOnServe[previous.server] += 1;
+      }
+      updated.points.push({
+        scorer: event.side,
+        server: previous.server,
+        gameNumber: previous.gameNumber,
+        scoreLeft,
+        scoreRight
+      });
+    }
+  }
+
+  // Ball speed only changes on serves and paddle hits
+  for (const ball of next.balls) {
+    updated.topSpeed = Math.max(updated.topSpeed, Math.hypot(ball.vx, ball.vy));
+  }
+
+  if (rallyEnded) {
+    updated.rallies.push(updated.rallyHits);
+    updated.rallyHits = 0;
+  }
+
+  return updated;
+}
+
+/**
+ * Summarize stats for display
+ * @param {object} stats - Match stats
+ * @returns {object} {rallies, longestRally, averageRally, hits, topSpeed,
+ *   serveWinRate: {left, right} (0-1, or null without a point on that serve),
+ *   hitZones: {left, right} (share of each side's hits per zone)}
+ */
+export function summarizeMatchStats(stats) {
+  const { rallies } = stats;
+  const share = (count, total) => (total > 0 ? count / total : null);
+
+  return {
+    rallies: rallies.length,
+    longestRally: Math.max(0, ...rallies),
+    averageRally: rallies.length ? rallies.reduce((sum, hits) => sum + hits, 0) / rallies.length : 0,
+    hits: stats.hits,
+    topSpeed: stats.topSpeed,
+    serveWinRate: {
+      left: share(stats.wonOnServe.left, stats.served.left),
+      right: share(stats.wonOnServe.right, stats.served.right)
+    },
+    hitZones: {
+      left: stats.hitZones.left.map(count => share(count, stats.hits.left) ?? 0),
+      right: stats.hitZones.right.map(count => share(count, stats.hits.right) ?? 0)
+    }
+  };
+}
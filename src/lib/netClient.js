@@ -0,0 +1,106 @@
+import { createLagSimulator, decodeMessage, encodeMessage } from './netProtocol.js';
+
+// Seconds between latency probes
+const PING_INTERVAL = 2;
+
+/**
+ * WebSocket connection to the online match server (see netProtocol.js)
+ * Everything sent and received can go through a lag simulator, so prediction
+ * and reconciliation can be tried against a server on localhost.
+ * @param {object} options - Connection options
+ * @param {string} options.url - Server URL, e.g. ws://localhost:8787
+ * @param {function} options.onMessage - Called with each decoded server message
+ * @param {function} [options.onClose] - Called once the connection is gone
+ * @param {object} [options.lag] - Simulated lag {latency, jitter} in ms each way
+ * @param {function} [options.createSocket] - Socket factory (WebSocket by default)
+ * @returns {object} Client {send, setLag, getLatency, close}
+ */
+export function createNetClient({ url, onMessage, onClose, lag = {}, createSocket = target => new WebSocket(target) }) {
+  const outgoing = createLagSimulator(lag);
+  const incoming = createLagSimulator(lag);
+  const queued = [];
+  let latency = null;
+  let closed = false;
+
+  const socket = createSocket(url);
+
+  function sendNow(text) {
+    if (socket.readyState === 1) {
+      socket.send(text);
+    } else if (socket.readyState === 0) {
+      queued.push(text);
+    }
+  }
+
+  /**
+   * Send a message to the server
+   * @param {string} type - Message type
+   * @param {object} [data] - Message fields
+   */
+  function send(type, data) {
+    if (closed) return;
+    const text = encodeMessage(type, data);
+    outgoing.delay(() => sendNow(text));
+  }
+
+  function ping() {
+    send('ping', { time: Date.now() });
+  }
+
+  const pingTimer = setInterval(ping, PING_INTERVAL * 1000);
+
+  socket.onopen = () => {
+    queued.splice(0).forEach(text => socket.send(text));
+    ping();
+  };
+
+  socket.onmessage = event => {
+    const message = decodeMessage(event.data);
+    if (!message) return;
+
+    incoming.delay(() => {
+      if (closed) return;
+      if (message.type === 'pong') {
+        latency = Date.now() - message.time;
+      } else {
+        onMessage(message);
+      }
+    });
+  };
+
+  socket.onclose = () => {
+    if (closed) return;
+    close();
+    onClose?.();
+  };
+
+  /**
+   * Disconnect and drop anything still in flight
+   */
+  function close() {
+    closed = true;
+    clearInterval(pingTimer);
+    outgoing.clear();
+    incoming.clear();
+    if (socket.readyState <= 1) {
+      socket.close();
+    }
+  }
+
+  /**
+   * Change the simulated lag
+   * @param {object} nextLag - {latency, jitter} in ms each way
+   */
+  function setLag(nextLag) {
+    outgoing.setLag(nextLag);
+    incoming.setLag(nextLag);
+  }
+
+  return {
+    send,
+    setLag,
+    // Round-trip time in ms, including simulated lag (null until measured)
+    getLatency: () => latency,
+    close
+  };
+}
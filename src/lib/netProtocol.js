@@ -0,0 +1,131 @@
+/**
+ * Online play protocol, shared by the browser client and the Node server
+ * (server/index.js). Messages are JSON objects with a `type`:
+ *
+ * Client to server:
+ * - create {version, rules, arcade, chaos}: open a room and wait as the left paddle
+ * - join {version, code}: join a room as the right paddle
+ * - input {seq, input}: the player's input for one simulation step
+ * - action {action}: 'pause' or 'restart' the match
+ * - ping {time}: latency probe, answered with pong {time}
+ *
+ * Server to client:
+ * - joined {code, side}: the room and the paddle this client controls
+ * - start {state, stats}: both players are in; the match begins from state
+ * - snapshot {state, acks, inputs, stats?}: authoritative state after a step,
+ *   the last input step applied for each side and the input each side is
+ *   currently using; stats come along whenever a point changed them
+ * - opponentLeft: the other player disconnected; the room is closed
+ * - error {message}
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+// Port the server listens on unless PORT is set
+export const DEFAULT_SERVER_PORT = 8787;
+
+// Steps between server snapshots (120 steps per second / 4 = 30 snapshots per second)
+export const SNAPSHOT_INTERVAL = 4;
+
+// Inputs the server buffers per player before it drops the oldest to catch up
+export const MAX_BUFFERED_INPUTS = 30;
+
+// Join codes avoid letters and digits that are easy to mix up (0/O, 1/I)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 4;
+
+/**
+ * Make a random join code, e.g. 'K7QX'
+ * @param {function} [random] - Random source returning [0, 1)
+ * @returns {string} Join code
+ */
+export function generateJoinCode(random = Math.random) {
+  return Array.from({ length: JOIN_CODE_LENGTH }, () =>
+    JOIN_CODE_ALPHABET[Math.floor(random() * JOIN_CODE_ALPHABET.length)]).join('');
+}
+
+/**
+ * Clean up a typed join code
+ * @param {string} text - Code as typed
+ * @returns {string} Upper-case code without spaces
+ */
+export function normalizeJoinCode(text) {
+  return String(text).toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Encode a message for the socket
+ * @param {string} type - Message type
+ * @param {object} [data] - Message fields
+ * @returns {string} JSON text
+ */
+export function encodeMessage(type, data = {}) {
+  return JSON.stringify({ type, ...data });
+}
+
+/**
+ * Decode a message from the socket
+ * @param {string} text - JSON text
+ * @returns {object|null} Message, or null if it is not a message
+ */
+export function decodeMessage(text) {
+  try {
+    const message = JSON.parse(text);
+    return typeof message?.type === 'string' ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lag simulator for testing on localhost: delays callbacks by a latency plus
+ * random jitter while keeping them in order, like a slow but reliable socket
+ * @param {object} [options] - Lag settings
+ * @param {number} [options.latency] - One-way delay in ms
+ * @param {number} [options.jitter] - Extra random delay in ms (0 to jitter)
+ * @param {function} [options.random] - Random source for the jitter
+ * @returns {object} Lag simulator {delay, setLag, getLag, clear}
+ */
+export function createLagSimulator({ latency = 0, jitter = 0, random = Math.random } = {}) {
+  const timers = new Set();
+  let lastDelivery = 0;
+
+  /**
+   * Run a callback after the simulated delay (right away without lag)
+   */
+  function delay(callback) {
+    if (latency <= 0 && jitter <= 0) {
+      callback();
+      return;
+    }
+
+    // Never deliver before an earlier message: the socket keeps order
+    const now = Date.now();
+    const delivery = Math.max(now + latency + random() * jitter, lastDelivery);
+    lastDelivery = delivery;
+
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      callback();
+    }, delivery - now);
+    timers.add(timer);
+  }
+
+  function setLag(lag) {
+    latency = Math.max(0, lag.latency ?? latency);
+    jitter = Math.max(0, lag.jitter ?? jitter);
+  }
+
+  function clear() {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    lastDelivery = 0;
+  }
+
+  return {
+    delay,
+    setLag,
+    getLag: () => ({ latency, jitter }),
+    clear
+  };
+}
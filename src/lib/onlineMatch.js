@@ -0,0 +1,59 @@
+/**
+ * Client side of an online match: prediction and reconciliation
+ * The local simulation runs ahead of the server using the player's own
+ * inputs right away and the remote player's predicted input. Every server
+ * snapshot replaces the local state with the authoritative one, then the
+ * player's inputs the server has not applied yet are simulated again on top,
+ * so the player's paddle never waits for the round trip.
+ * @param {object} options - Match options
+ * @param {object} options.simulation - Local simulation (see simulation.js)
+ * @param {string} options.side - Paddle this player controls
+ * @param {object} options.remote - Remote player controller (see remotePlayer.js)
+ * @param {function} options.send - Sends a message to the server (type, data)
+ * @returns {object} Online match {step, reconcile, getPendingCount}
+ */
+export function createOnlineMatch({ simulation, side, remote, send }) {
+  let seq = 0;
+  // Inputs sent but not yet applied by the server: [{seq, input}]
+  let pending = [];
+
+  function stepWith(input) {
+    return simulation.step({ [side]: input, [remote.side]: remote.getInput() });
+  }
+
+  /**
+   * Send the player's input for one step and predict its result
+   * @param {object} inputs - Per-side inputs {left, right}; only this player's is sent
+   * @returns {object} Predicted simulation state
+   */
+  function step(inputs) {
+    const input = inputs[side];
+    seq += 1;
+    pending.push({ seq, input });
+    send('input', { seq, input });
+    return simulation.step(inputs);
+  }
+
+  /**
+   * Apply a server snapshot and replay the inputs it has not seen yet
+   * @param {object} snapshot - Snapshot message {state, acks, inputs}
+   * @returns {object} Reconciled simulation state
+   */
+  function reconcile(snapshot) {
+    remote.receive(snapshot.inputs);
+    pending = pending.filter(entry => entry.seq > snapshot.acks[side]);
+
+    simulation.setState(snapshot.state);
+    for (const entry of pending) {
+      stepWith(entry.input);
+    }
+    return simulation.getState();
+  }
+
+  return {
+    side,
+    step,
+    reconcile,
+    getPendingCount: () => pending.length
+  };
+}
@@ -44,79 +44,6 @@ export function calculateReflection(hitPosition, isLeftPaddle, currentVX, curren
   return { vx, vy };
 }
 
-/**
- * Check collision between ball and paddle
- * @param {object} ball - Ball state {x, y, vx, vy}
- * @param {object} paddle - Paddle state {y, height}
- * @param {boolean} isLeftPaddle - Whether this is the left paddle
- * @param {number} canvasWidth - Canvas width for positioning calculations
- * @returns {object|null} Collision result or null if no collision
- */
-export function checkPaddleCollision(ball, paddle, isLeftPaddle, canvasWidth) {
-  const paddleX = isLeftPaddle ? 
-    GAME_CONFIG.PADDLE_MARGIN : 
-    canvasWidth - GAME_CONFIG.PADDLE_MARGIN - GAME_CONFIG.PADDLE_WIDTH;
-  
-  const ballRadius = GAME_CONFIG.BALL_SIZE / 2;
-  
-  // Check if ball is in paddle X range
-  const ballInXRange = isLeftPaddle ?
-    (ball.x - ballRadius <= paddleX + GAME_CONFIG.PADDLE_WIDTH && ball.x > paddleX) :
-    (ball.x + ballRadius >= paddleX && ball.x < paddleX + GAME_CONFIG.PADDLE_WIDTH);
-  
-  // Check if ball is in paddle Y range
-  const ballInYRange = ball.y >= paddle.y && ball.y <= paddle.y + paddle.height;
-  
-  // Check if ball is moving toward paddle
-  const movingTowardPaddle = isLeftPaddle ? ball.vx < 0 : ball.vx > 0;
-  
-  if (ballInXRange && ballInYRange && movingTowardPaddle) {
-    // Calculate hit position (0 = top, 1 = bottom)
-    const hitPosition = (ball.y - paddle.y) / paddle.height;
-    
-    // Calculate new ball position to prevent sticking
-    const newX = isLeftPaddle ?
-      paddleX + GAME_CONFIG.PADDLE_WIDTH + ballRadius + 0.5 :
-      paddleX - ballRadius - 0.5;
-    
-    return {
-      hitPosition,
-      newX,
-      isLeftPaddle
-    };
-  }
-  
-  return null;
-}
-
-/**
- * Check collision with top/bottom walls
- * @param {object} ball - Ball state {x, y, vx, vy}
- * @param {number} canvasHeight - Canvas height
- * @returns {object|null} Collision result or null if no collision
- */
-export function checkWallCollision(ball, canvasHeight) {
-  const ballRadius = GAME_CONFIG.BALL_SIZE / 2;
-  
-  // Top wall collision
-  if (ball.y - ballRadius <= 0 && ball.vy < 0) {
-    return {
-      newY: ballRadius,
-      newVY: -ball.vy
-    };
-  }
-  
-  // Bottom wall collision
-  if (ball.y + ballRadius >= canvasHeight && ball.vy > 0) {
-    return {
-      newY: canvasHeight - ballRadius,
-      newVY: -ball.vy
-    };
-  }
-  
-  return null;
-}
-
 /**
  * Check if ball has gone off screen (scoring)
  * @param {object} ball - Ball state {x, y, vx, vy}
@@ -137,33 +64,209 @@ export function checkScoring(ball, canvasWidth) {
   return null;
 }
 
-/**
- * Update ball position based on current velocity
- * @param {object} ball - Current ball state
- * @returns {object} New ball position
- */
-export function updateBallPosition(ball) {
-  return {
-    x: ball.x + ball.vx,
-    y: ball.y + ball.vy,
-    vx: ball.vx,
-    vy: ball.vy
-  };
-}
-
 /**
  * Update paddle position with movement input
  * @param {object} paddle - Current paddle state
  * @param {number} movement - Movement delta (-1 for up, 1 for down, 0 for no movement)
- * @param {number} speed - Movement speed
+ * @param {number} speed - Movement speed in px per second
  * @param {number} canvasHeight - Canvas height for bounds checking
+ * @param {number} dt - Time step in seconds
  * @returns {object} New paddle state
  */
-export function updatePaddlePosition(paddle, movement, speed, canvasHeight) {
-  const newY = paddle.y + (movement * speed);
+export function updatePaddlePosition(paddle, movement, speed, canvasHeight, dt) {
+  const newY = paddle.y + (movement * speed * dt);
   
   return {
     ...paddle,
     y: clamp(newY, 0, canvasHeight - paddle.height)
   };
 }
+
+/**
+ * Get the left edge of a paddle
+ * @param {boolean} isLeftPaddle - Whether this is the left paddle
+ * @param {number} canvasWidth - Canvas width
+ * @returns {number} Paddle X position
+ */
+export function getPaddleX(isLeftPaddle, canvasWidth) {
+  return isLeftPaddle ?
+    GAME_CONFIG.PADDLE_MARGIN :
+    canvasWidth - GAME_CONFIG.PADDLE_MARGIN - GAME_CONFIG.PADDLE_WIDTH;
+}
+
+/**
+ * Find when a moving point enters a box (slab method)
+ * @param {object} ball - Ball state {x, y, vx, vy}
+ * @param {object} box - Box {minX, maxX, minY, maxY}
+ * @returns {object|null} Entry {time, axis} or null if the path misses the box
+ */
+function getBoxEntry(ball, box) {
+  let enter = -Infinity;
+  let exit = Infinity;
+  let axis = null;
+
+  for (const [pos, vel, min, max, name] of [
+    [ball.x, ball.vx, box.minX, box.maxX, 'x'],
+    [ball.y, ball.vy, box.minY, box.maxY, 'y']
+  ]) {
+    if (vel === 0) {
+      if (pos < min || pos > max) return null;
+      continue;
+    }
+
+    const t1 = (min - pos) / vel;
+    const t2 = (max - pos) / vel;
+    const axisEnter = Math.min(t1, t2);
+    if (axisEnter > enter) {
+      enter = axisEnter;
+      axis = name;
+    }
+    exit = Math.min(exit, Math.max(t1, t2));
+  }
+
+  if (enter > exit || exit <= 0) return null;
+  return { time: enter, axis };
+}
+
+/**
+ * Find the earliest collision of the ball with a paddle within a time window
+ * The paddle is expanded by the ball radius so the ball can be treated as a point
+ * @param {object} ball - Ball state {x, y, vx, vy}
+ * @param {object} paddle - Paddle state {y, height}
+ * @param {boolean} isLeftPaddle - Whether this is the left paddle
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} maxTime - Length of the time window in seconds
+ * @returns {object|null} Impact {time, face, hitPosition} or null
+ */
+export function findPaddleImpact(ball, paddle, isLeftPaddle, canvasWidth, maxTime) {
+  const ballRadius = GAME_CONFIG.BALL_SIZE / 2;
+  const paddleX = getPaddleX(isLeftPaddle, canvasWidth);
+  const box = {
+    minX: paddleX - ballRadius,
+    maxX: paddleX + GAME_CONFIG.PADDLE_WIDTH + ballRadius,
+    minY: paddle.y - ballRadius,
+    maxY: paddle.y + paddle.height + ballRadius
+  };
+
+  const entry = getBoxEntry(ball, box);
+  if (!entry || entry.time > maxTime) return null;
+
+  const hitPosition = clamp((ball.y + ball.vy * Math.max(entry.time, 0) - paddle.y) / paddle.height, 0, 1);
+  const movingTowardFront = isLeftPaddle ? ball.vx < 0 : ball.vx > 0;
+
+  if (entry.time < 0) {
+    // Already overlapping (the paddle moved onto the ball): only bounce it
+    // back into play if it is still heading for the front of the paddle
+    if (!movingTowardFront) return null;
+    return { time: 0, face: 'front', hitPosition };
+  }
+
+  if (entry.axis === 'y') {
+    return { time: entry.time, face: ball.vy > 0 ? 'top' : 'bottom', hitPosition };
+  }
+
+  return { time: entry.time, face: movingTowardFront ? 'front' : 'back', hitPosition };
+}
+
+/**
+ * Find the earliest collision of the ball with the top or bottom wall
+ * @param {object} ball - Ball state {x, y, vx, vy}
+ * @param {number} canvasHeight - Canvas height
+ * @param {number} maxTime - Length of the time window in seconds
+ * @returns {object|null} Impact {time, wall} or null
+ */
+export function findWallImpact(ball, canvasHeight, maxTime) {
+  const ballRadius = GAME_CONFIG.BALL_SIZE / 2;
+  let impact = null;
+
+  if (ball.vy < 0) {
+    impact = { time: Math.max(0, (ballRadius - ball.y) / ball.vy), wall: 'top' };
+  } else if (ball.vy > 0) {
+    impact = { time: Math.max(0, (canvasHeight - ballRadius - ball.y) / ball.vy), wall: 'bottom' };
+  }
+
+  return impact && impact.time <= maxTime ? impact : null;
+}
+
+/**
+ * Move the ball through one step with continuous (swept) collision detection
+ * Finds the exact time of impact with walls and paddles, responds, and keeps
+ * moving for the rest of the step, so fast balls never tunnel through paddles.
+ * If the step needs more than MAX_COLLISIONS_PER_STEP bounces, the ball stops
+ * at the last impact for the rest of the step rather than moving unchecked
+ * @param {object} ball - Ball state {x, y, vx, vy}
+ * @param {object} paddles - Paddle states {left, right}
+ * @param {object} field - Playfield size {width, height}
+ * @param {number} dt - Time step in seconds
+ * @returns {object} Result {ball, collisions}, where each collision is
+ *   {type: 'wall', wall, x, y} or {type: 'paddle', side, face, hitPosition, x, y}
+ */
+export function sweepBall(ball, paddles, field, dt) {
+  const next = { ...ball };
+  const collisions = [];
+  let remaining = dt;
+  let pathClear = false;
+
+  // One pass more than the bounce limit, to check the path after the last bounce
+  for (let bounce = 0; bounce <= GAME_CONFIG.MAX_COLLISIONS_PER_STEP; bounce++) {
+    let earliest = null;
+
+    const wall = findWallImpact(next, field.height, remaining);
+    if (wall) {
+      earliest = { ...wall, type: 'wall' };
+    }
+
+    for (const side of ['left', 'right']) {
+      const impact = findPaddleImpact(next, paddles[side], side === 'left', field.width, remaining);
+      if (impact && (!earliest || impact.time < earliest.time)) {
+        earliest = { ...impact, type: 'paddle', side };
+      }
+    }
+
+    if (!earliest) {
+      pathClear = true;
+      break;
+    }
+    if (bounce === GAME_CONFIG.MAX_COLLISIONS_PER_STEP) break;
+
+    // Move to the point of impact
+    next.x += next.vx * earliest.time;
+    next.y += next.vy * earliest.time;
+    remaining -= earliest.time;
+
+    if (earliest.type === 'wall') {
+      next.vy = earliest.wall === 'top' ? Math.abs(next.vy) : -Math.abs(next.vy);
+      collisions.push({ type: 'wall', wall: earliest.wall, x: next.x, y: next.y });
+      continue;
+    }
+
+    const isLeftPaddle = earliest.side === 'left';
+    if (earliest.face === 'front') {
+      const reflection = calculateReflection(earliest.hitPosition, isLeftPaddle, next.vx, next.vy);
+      next.vx = reflection.vx;
+      next.vy = reflection.vy;
+    } else if (earliest.face === 'back') {
+      next.vx = -next.vx;
+    } else {
+      // Top or bottom edge: deflect vertically away from the paddle
+      next.vy = earliest.face === 'top' ? -Math.abs(next.vy) : Math.abs(next.vy);
+    }
+
+    collisions.push({
+      type: 'paddle',
+      side: earliest.side,
+      face: earliest.face,
+      hitPosition: earliest.hitPosition,
+      x: next.x,
+      y: next.y
+    });
+  }
+
+  // Travel the rest of the step, if nothing is in the way
+  if (pathClear) {
+    next.x += next.vx * remaining;
+    next.y += next.vy * remaining;
+  }
+
+  return { ball: next, collisions };
+}
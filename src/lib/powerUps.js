@@ -0,0 +1,301 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { clamp } from './physics.js';
+import { getOpponent } from './matchRules.js';
+
+/**
+ * Arcade power-ups
+ * Pickups spawn in the middle of the court; when a ball passes through one,
+ * the player who last hit that ball collects it. Each power-up is an entry in
+ * POWER_UPS whose optional hooks the simulation consults every step:
+ * - paddleHeight(height): height of the affected paddle while active
+ * - input(input, paddle): transform the affected paddle's input
+ * - ballTimeScale: multiplier on how fast the ball travels while active
+ * - blockGoal(ball, field, side): return a deflected ball once the ball reaches
+ *   the affected side's goal, or null (the effect ends when it blocks)
+ * - collect(next, ball, random): instant effect when collected (mutates the
+ *   state being built); power-ups with no duration only have this
+ * `target` says who is affected: the collector ('self'), the other player
+ * ('opponent') or nobody in particular ('ball').
+ */
+export const POWER_UPS = {
+  grow: {
+    name: 'Grow',
+    description: 'Bigger paddle',
+    icon: '⇕',
+    color: '#a3be8c',
+    duration: 10,
+    target: 'self',
+    paddleHeight: height => height * 1.5
+  },
+  shrink: {
+    name: 'Shrink',
+    description: 'Smaller paddle for the opponent',
+    icon: '⇣',
+    color: '#d08770',
+    duration: 8,
+    target: 'opponent',
+    paddleHeight: height => height * 0.6
+  },
+  slowBall: {
+    name: 'Slow Ball',
+    description: 'The ball slows down',
+    icon: '◔',
+    color: '#88c0d0',
+    duration: 6,
+    target: 'ball',
+    ballTimeScale: 0.6
+  },
+  speedBoost: {
+    name: 'Speed Boost',
+    description: 'The ball speeds up',
+    icon: '»',
+    color: '#ebcb8b',
+    duration: 6,
+    target: 'ball',
+    ballTimeScale: 1.4
+  },
+  reverse: {
+    name: 'Reverse',
+    description: 'Reversed controls for the opponent',
+    icon: '⇄',
+    color: '#b48ead',
+    duration: 6,
+    target: 'opponent',
+    input: (input, paddle) => ({
+      ...input,
+      movement: -(input.movement ?? 0),
+      // Absolute targets (touch, AI) are mirrored around the paddle
+      targetY: typeof input.targetY === 'number' ? 2 * paddle.y - input.targetY : input.targetY
+    })
+  },
+  shield: {
+    name: 'Shield',
+    description: 'A wall behind your paddle stops one goal',
+    icon: '▮',
+    color: '#5e81ac',
+    duration: 12,
+    target: 'self',
+    blockGoal: (ball, field, side) => {
+      const radius = GAME_CONFIG.BALL_SIZE / 2;
+      const face = getShieldFace(side, field.width);
+      if (side === 'left' && ball.vx < 0 && ball.x - radius <= face) {
+        return { ...ball, x: face + radius, vx: -ball.vx };
+      }
+      if (side === 'right' && ball.vx > 0 && ball.x + radius >= face) {
+        return { ...ball, x: face - radius, vx: -ball.vx };
+      }
+      return null;
+    }
+  },
+  multiBall: {
+    name: 'Multi-ball',
+    description: 'The ball splits in three',
+    icon: '⁂',
+    color: '#e5e9f0',
+    duration: 0,
+    target: 'ball',
+    collect: (next, ball) => {
+      const speed = Math.hypot(ball.vx, ball.vy);
+      const angle = Math.atan2(ball.vy, ball.vx);
+      const split = [-GAME_CONFIG.ARCADE.SPLIT_ANGLE, GAME_CONFIG.ARCADE.SPLIT_ANGLE].map(offset => ({
+        ...ball,
+        id: next.nextBallId++,
+        vx: Math.cos(angle + offset) * speed,
+        vy: Math.sin(angle + offset) * speed
+      }));
+      next.balls = [...next.balls, ...split];
+    }
+  }
+};
+
+/**
+ * X position of the court-facing side of a shield wall
+ * @param {string} side - Side the shield protects
+ * @param {number} width - Playfield width
+ * @returns {number} X coordinate
+ */
+export function getShieldFace(side, width) {
+  const offset = GAME_CONFIG.ARCADE.SHIELD_X + GAME_CONFIG.ARCADE.SHIELD_WIDTH;
+  return side === 'left' ? offset : width - offset;
+}
+
+/**
+ * Power-up fields of a fresh match state
+ * @param {boolean} arcade - Whether power-ups are enabled
+ * @returns {object} {arcade, pickups, effects, pickupTimer, nextPowerUpId}
+ */
+export function createPowerUpState(arcade) {
+  return {
+    arcade,
+    // Pickups waiting on the court: [{id, type, x, y}]
+    pickups: [],
+    // Active effects: [{id, type, side, remaining}], side is null for 'ball' targets
+    effects: [],
+    // Seconds of rally until the next pickup spawns
+    pickupTimer: GAME_CONFIG.ARCADE.SPAWN_INTERVAL,
+    nextPowerUpId: 1
+  };
+}
+
+/**
+ * Active effects of one power-up hook for a side
+ * @param {object[]} effects - Active effects
+ * @param {string} hook - Hook name in the registry
+ * @param {string|null} [side] - Affected side, or omit for effects on everyone
+ * @returns {object[]} [{effect, powerUp}]
+ */
+function getHooked(effects, hook, side) {
+  return effects
+    .map(effect => ({ effect, powerUp: POWER_UPS[effect.type] }))
+    .filter(({ effect, powerUp }) =>
+      powerUp?.[hook] !== undefined && (side === undefined || effect.side === side));
+}
+
+/**
+ * Apply input-changing effects to a paddle's input
+ * @param {object} input - Paddle input {movement, targetY, serve}
+ * @param {object} paddle - Current paddle state
+ * @param {string} side - 'left' or 'right'
+ * @param {object[]} effects - Active effects
+ * @returns {object} Input to apply
+ */
+export function applyInputEffects(input, paddle, side, effects) {
+  if (!input) return input;
+  return getHooked(effects, 'input', side)
+    .reduce((current, { powerUp }) => powerUp.input(current, paddle), input);
+}
+
+/**
+ * Resize paddles according to active effects, keeping them centered
+ * @param {object} paddles - Paddle state {left, right}
+ * @param {object[]} effects - Active effects
+ * @param {number} baseHeight - Normal paddle height for the field
+ * @param {number} fieldHeight - Playfield height
+ * @returns {object} Paddle state {left, right}
+ */
+export function applyPaddleEffects(paddles, effects, baseHeight, fieldHeight) {
+  const resize = side => {
+    const paddle = paddles[side];
+    const height = getHooked(effects, 'paddleHeight', side)
+      .reduce((current, { powerUp }) => powerUp.paddleHeight(current), baseHeight);
+    if (height === paddle.height) return paddle;
+
+    const center = paddle.y + paddle.height / 2;
+    return { ...paddle, height, y: clamp(center - height / 2, 0, fieldHeight - height) };
+  };
+
+  return { left: resize('left'), right: resize('right') };
+}
+
+/**
+ * Combined ball speed multiplier of the active effects
+ * @param {object[]} effects - Active effects
+ * @returns {number} Time scale for ball movement
+ */
+export function getBallTimeScale(effects) {
+  return getHooked(effects, 'ballTimeScale')
+    .reduce((scale, { powerUp }) => scale * powerUp.ballTimeScale, 1);
+}
+
+/**
+ * Let an effect stop the ball at a side's goal
+ * @param {object} ball - Ball after this step's movement
+ * @param {object} field - Playfield size {width, height}
+ * @param {string} side - Side whose goal is checked
+ * @param {object[]} effects - Active effects
+ * @returns {object|null} {ball, effect} with the deflected ball and the used-up effect, or null
+ */
+export function blockGoal(ball, field, side, effects) {
+  for (const { effect, powerUp } of getHooked(effects, 'blockGoal', side)) {
+    const deflected = powerUp.blockGoal(ball, field, side);
+    if (deflected) return { ball: deflected, effect };
+  }
+  return null;
+}
+
+/**
+ * Advance power-ups by one rally step: expire effects, collect and spawn pickups
+ * @param {object} next - State being built for this step (mutated)
+ * @param {number} dt - Time step in seconds
+ * @param {function} random - Match random source
+ */
+export function stepPowerUps(next, dt, random) {
+  const { ARCADE } = GAME_CONFIG;
+  const { events } = next;
+
+  // Expire effects
+  const effects = [];
+  for (const effect of next.effects) {
+    const remaining = effect.remaining - dt;
+    if (remaining > 0) {
+      effects.push({ ...effect, remaining });
+    } else {
+      events.push({ type: 'powerUpEnded', powerUp: effect.type, side: effect.side });
+    }
+  }
+  next.effects = effects;
+
+  // Collect pickups the balls pass through
+  const reach = ARCADE.PICKUP_RADIUS + GAME_CONFIG.BALL_SIZE / 2;
+  next.pickups = next.pickups.filter(pickup => {
+    const ball = next.balls.find(b => Math.hypot(b.x - pickup.x, b.y - pickup.y) <= reach);
+    if (!ball) return true;
+    collect(next, pickup, ball, random);
+    return false;
+  });
+
+  // Spawn new pickups
+  next.pickupTimer -= dt;
+  if (next.pickupTimer <= 0) {
+    next.pickupTimer = ARCADE.SPAWN_INTERVAL;
+    if (next.pickups.length < ARCADE.MAX_PICKUPS) {
+      spawnPickup(next, random);
+    }
+  }
+}
+
+/**
+ * Start a pickup's effect for the player who last hit the ball
+ * @param {object} next - State being built for this step (mutated)
+ * @param {object} pickup - Collected pickup
+ * @param {object} ball - Ball that passed through it
+ * @param {function} random - Match random source
+ */
+function collect(next, pickup, ball, random) {
+  const powerUp = POWER_UPS[pickup.type];
+  const collector = ball.lastHitter;
+  const targets = { self: collector, opponent: getOpponent(collector), ball: null };
+  const side = targets[powerUp.target];
+
+  powerUp.collect?.(next, ball, random);
+
+  if (powerUp.duration > 0) {
+    // Picking up a power-up that is already running restarts its timer
+    next.effects = [
+      ...next.effects.filter(effect => effect.type !== pickup.type || effect.side !== side),
+      { id: pickup.id, type: pickup.type, side, remaining: powerUp.duration }
+    ];
+  }
+  next.events.push({ type: 'powerUp', powerUp: pickup.type, side, collector, x: pickup.x, y: pickup.y });
+}
+
+/**
+ * Place a random pickup in the middle third of the court
+ * @param {object} next - State being built for this step (mutated)
+ * @param {function} random - Match random source
+ */
+function spawnPickup(next, random) {
+  const { field } = next;
+  const types = Object.keys(POWER_UPS);
+  const radius = GAME_CONFIG.ARCADE.PICKUP_RADIUS;
+  const type = types[Math.floor(random() * types.length)];
+
+  next.pickups = [...next.pickups, {
+    id: next.nextPowerUpId,
+    type,
+    x: field.width / 3 + random() * field.width / 3,
+    y: radius + random() * Math.max(0, field.height - 2 * radius)
+  }];
+  next.nextPowerUpId += 1;
+  next.events.push({ type: 'pickupSpawned', powerUp: type });
+}
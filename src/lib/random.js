@@ -0,0 +1,70 @@
+/**
+ * Seeded pseudo-random number generation
+ * Every source of randomness in a match draws from one of these generators,
+ * so the same seed and the same inputs reproduce the same match
+ */
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Create a seeded generator (mulberry32)
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {function} Generator returning numbers in [0, 1), with `seed`,
+ *   `getState()`/`setState(state)` for snapshots and `reseed(seed)` to restart it
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  }
+
+  random.seed = seed >>> 0;
+  random.getState = () => state;
+  random.setState = value => {
+    state = value >>> 0;
+  };
+  random.reseed = value => {
+    random.seed = value >>> 0;
+    state = random.seed;
+  };
+
+  return random;
+}
+
+/**
+ * Pick a new seed for a match that was not given one
+ * @returns {number} 32-bit unsigned seed
+ */
+export function generateSeed() {
+  if (globalThis.crypto?.getRandomValues) {
+    return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+/**
+ * Parse a user-supplied seed (e.g. a URL parameter)
+ * Numeric strings are used as-is, anything else is hashed (FNV-1a)
+ * @param {string|number|null} value - Raw seed value
+ * @returns {number|null} 32-bit unsigned seed, or null if none was given
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
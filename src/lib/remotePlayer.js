@@ -0,0 +1,32 @@
+/**
+ * Create a controller for the other player in an online match
+ * It stands in for the AI: the engine asks it for the opponent's input each
+ * step. The real input only arrives with server snapshots, so until the next
+ * one the remote paddle is predicted to keep doing what it was last doing.
+ * Serves are left to the server.
+ * @param {string} side - Paddle the remote player controls ('left' or 'right')
+ * @returns {object} Remote player controller
+ */
+export function createRemotePlayer(side) {
+  let movement = 0;
+
+  return {
+    side,
+
+    /**
+     * Take the remote player's latest input from a server snapshot
+     * @param {object} inputs - Snapshot inputs per side
+     */
+    receive(inputs) {
+      movement = inputs?.[side]?.movement ?? 0;
+    },
+
+    /**
+     * Build the remote paddle's predicted input for the next step
+     * @returns {object} Paddle input {movement, serve}
+     */
+    getInput() {
+      return { movement, serve: false };
+    }
+  };
+}
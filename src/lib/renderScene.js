@@ -0,0 +1,238 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { PHASES } from './simulation.js';
+import { POWER_UPS, getShieldFace } from './powerUps.js';
+import { formatClock, isSuddenDeath } from './matchRules.js';
+import { createViewport } from './viewport.js';
+
+/**
+ * Render snapshots and scenes
+ * Once per frame the engine freezes everything a renderer may draw into a
+ * snapshot (createRenderSnapshot). Renderers never read the stores or the
+ * simulation; they turn the snapshot into a scene of plain shapes and text
+ * in playfield units (buildScene) and draw that with their own backend, so
+ * every backend shows exactly the same picture.
+ */
+
+// How long the attract banner stays on, then off (ms)
+const BANNER_BLINK = 700;
+
+/**
+ * Text lines over the court for a simulation state
+ */
+function describeHud(state, view) {
+  const { rules } = state;
+  const suddenDeath = isSuddenDeath(rules, state.elapsed);
+
+  const info = [];
+  if (rules.bestOf > 1) {
+    info.push(`Game ${state.gameNumber} of ${rules.bestOf}`);
+    info.push(`Games ${state.gamesLeft} - ${state.gamesRight}`);
+  }
+  if (suddenDeath) {
+    info.push('Sudden death');
+  } else if (rules.timeLimit !== null) {
+    info.push(formatClock(Math.max(0, Math.ceil(rules.timeLimit - state.elapsed))));
+  }
+
+  const serving = state.phase === PHASES.SERVING && !state.paused;
+  const over = state.phase === PHASES.GAME_OVER;
+  let message = null;
+  if (over) {
+    const winner = state.gamesLeft > state.gamesRight ? view.names.left : view.names.right;
+    message = { kind: 'gameOver', text: `${winner} Wins!${view.attract ? '' : ` — press ${view.keys.restart} to restart`}` };
+  } else if (state.paused) {
+    message = { kind: 'pause', text: `Paused — ${view.keys.pause} to continue` };
+  }
+
+  return {
+    scoreLeft: state.scoreLeft,
+    scoreRight: state.scoreRight,
+    matchInfo: info.length ? info.join('  •  ') : null,
+    suddenDeath,
+    countdown: serving ? Math.ceil(state.phaseTimer) : null,
+    servePrompt: serving ? view.servePrompt : null,
+    message,
+    banner: view.attract && Math.floor(view.time / BANNER_BLINK) % 2 === 0 ? 'DEMO — press any key to play' : null
+  };
+}
+
+/**
+ * Freeze what a renderer needs for one frame
+ * @param {object} state - Simulation state to draw (possibly interpolated)
+ * @param {object} view - What the state does not know
+ * @param {object} view.theme - Active theme (see themes.js)
+ * @param {object} view.canvas - Canvas size in CSS pixels {width, height, dpr}
+ * @param {object} view.names - Player names {left, right}
+ * @param {string|null} view.servePrompt - Line under the serve countdown, e.g. who serves and with which key
+ * @param {object} view.keys - Labels of the bound keys for the messages {pause, restart}
+ * @param {boolean} view.attract - Whether the attract demo is playing
+ * @param {number} view.time - Frame time in ms, for blinking text
+ * @param {object|null} [view.effects] - Effects for this frame (see effects.js getFrame)
+ * @returns {object} Read-only snapshot {state, field, canvas, viewport, theme, names, hud, effects}
+ */
+export function createRenderSnapshot(state, view) {
+  const effects = view.effects ?? null;
+  const viewport = createViewport(view.canvas, state.field);
+  // Screen shake moves the whole court
+  if (effects) {
+    viewport.offsetX += effects.shake.x * viewport.scale;
+    viewport.offsetY += effects.shake.y * viewport.scale;
+  }
+
+  return Object.freeze({
+    state,
+    field: state.field,
+    canvas: view.canvas,
+    viewport,
+    theme: view.theme,
+    names: view.names,
+    hud: Object.freeze(describeHud(state, view)),
+    effects
+  });
+}
+
+/**
+ * Color for a paddle, tinted by the first power-up acting on it
+ */
+function getPaddleColor(side, effects, colors) {
+  const effect = effects.find(e => e.side === side && !POWER_UPS[e.type]?.blockGoal);
+  return effect ? POWER_UPS[effect.type].color : colors.paddle;
+}
+
+/**
+ * Turn a snapshot into shapes in playfield units, in drawing order
+ * @param {object} snapshot - Snapshot from createRenderSnapshot
+ * @returns {object} Scene {background, shapes, post}; each shape is
+ *   {type: 'rect', x, y, width, height, color, opacity?},
+ *   {type: 'circle', x, y, radius, color} or
+ *   {type: 'text', text, x, y, font, color, align, baseline};
+ *   post is the filter over the finished frame {scanlines} (darkness, 0 for none)
+ */
+export function buildScene(snapshot) {
+  const { state, field, hud } = snapshot;
+  const { colors, fonts } = snapshot.theme;
+  const effects = snapshot.effects;
+  const shapes = [];
+  // A soft glow: the rect grown by `spread` on every side
+  const glow = (rect, spread, color, opacity) => {
+    shapes.push({ type: 'rect', x: rect.x - spread, y: rect.y - spread, width: rect.width + spread * 2, height: rect.height + spread * 2, color, opacity });
+  };
+  const text = (value, x, y, font, color, baseline = 'middle') => {
+    shapes.push({ type: 'text', text: String(value), x, y, font, color, align: 'center', baseline });
+  };
+
+  // Net
+  const segment = GAME_CONFIG.NET_SEGMENT_HEIGHT;
+  for (let y = 0; y < field.height; y += segment * 2) {
+    shapes.push({ type: 'rect', x: field.width / 2 - 1, y, width: 2, height: segment, color: colors.net, opacity: GAME_CONFIG.NET_OPACITY });
+  }
+
+  // Shield walls in front of the goals they protect
+  for (const effect of state.effects) {
+    const powerUp = POWER_UPS[effect.type];
+    if (!powerUp?.blockGoal || !effect.side) continue;
+
+    const face = getShieldFace(effect.side, field.width);
+    const x = effect.side === 'left' ? face - GAME_CONFIG.ARCADE.SHIELD_WIDTH : face;
+    shapes.push({ type: 'rect', x, y: 0, width: GAME_CONFIG.ARCADE.SHIELD_WIDTH, height: field.height, color: powerUp.color });
+  }
+
+  // Power-up pickups waiting on the court
+  for (const pickup of state.pickups) {
+    const powerUp = POWER_UPS[pickup.type];
+    if (!powerUp) continue;
+
+    shapes.push({ type: 'circle', x: pickup.x, y: pickup.y, radius: GAME_CONFIG.ARCADE.PICKUP_RADIUS, color: powerUp.color });
+    text(powerUp.icon, pickup.x, pickup.y + 1, fonts.matchInfo, colors.background);
+  }
+
+  // Ball trails, shrinking and fading toward the oldest point
+  const ballRadius = GAME_CONFIG.BALL_SIZE / 2;
+  for (const trail of effects?.trails ?? []) {
+    trail.forEach((point, index) => {
+      const age = (index + 1) / (trail.length + 1);
+      const size = GAME_CONFIG.BALL_SIZE * (0.4 + 0.6 * age);
+      shapes.push({ type: 'rect', x: point.x - size / 2, y: point.y - size / 2, width: size, height: size, color: colors.ball, opacity: 0.5 * age });
+    });
+  }
+
+  // Paddles, glowing after a hit and under the CRT filter's bloom
+  const paddleX = {
+    left: GAME_CONFIG.PADDLE_MARGIN,
+    right: field.width - GAME_CONFIG.PADDLE_MARGIN - GAME_CONFIG.PADDLE_WIDTH
+  };
+  for (const side of ['left', 'right']) {
+    const paddle = {
+      type: 'rect',
+      x: paddleX[side],
+      y: state.paddles[side].y,
+      width: GAME_CONFIG.PADDLE_WIDTH,
+      height: state.paddles[side].height,
+      color: getPaddleColor(side, state.effects, colors)
+    };
+    if (effects?.crt) glow(paddle, 6, paddle.color, GAME_CONFIG.EFFECTS.BLOOM);
+    if (effects?.flash[side] > 0) glow(paddle, 5, paddle.color, 0.6 * effects.flash[side]);
+    shapes.push(paddle);
+  }
+
+  // Balls
+  for (const ball of state.balls) {
+    const rect = { type: 'rect', x: ball.x - ballRadius, y: ball.y - ballRadius, width: GAME_CONFIG.BALL_SIZE, height: GAME_CONFIG.BALL_SIZE, color: colors.ball };
+    if (effects?.crt) glow(rect, 5, colors.ball, GAME_CONFIG.EFFECTS.BLOOM);
+    shapes.push(rect);
+  }
+
+  // Sparks from hits
+  const sparkSize = GAME_CONFIG.EFFECTS.SPARK_SIZE;
+  for (const spark of effects?.sparks ?? []) {
+    shapes.push({ type: 'rect', x: spark.x - sparkSize / 2, y: spark.y - sparkSize / 2, width: sparkSize, height: sparkSize, color: colors.ball, opacity: spark.alpha });
+  }
+
+  // Score, set score and clock
+  text(hud.scoreLeft, field.width * 0.25, 18, fonts.score, colors.score, 'top');
+  text(hud.scoreRight, field.width * 0.75, 18, fonts.score, colors.score, 'top');
+  if (hud.matchInfo) {
+    text(hud.matchInfo, field.width / 2, 70, fonts.matchInfo, hud.suddenDeath ? colors.suddenDeath : colors.matchInfo, 'top');
+  }
+
+  // Serve countdown and who is serving
+  if (hud.countdown !== null) {
+    text(hud.countdown, field.width / 2, field.height / 2 - 20, fonts.pause, colors.pauseText);
+    if (hud.servePrompt) {
+      text(hud.servePrompt, field.width / 2, field.height / 2 + 12, fonts.matchInfo, colors.pauseText);
+    }
+  }
+
+  // Pause or game over message
+  if (hud.message?.kind === 'pause') {
+    text(hud.message.text, field.width / 2, field.height / 2, fonts.pause, colors.pauseText);
+  } else if (hud.message?.kind === 'gameOver') {
+    text(hud.message.text, field.width / 2, field.height / 2, fonts.gameOver, colors.winText);
+  }
+
+  // Blinking attract demo banner near the bottom of the court
+  if (hud.banner) {
+    text(hud.banner, field.width / 2, field.height - 40, fonts.pause, colors.pauseText);
+  }
+
+  return {
+    background: colors.background,
+    shapes,
+    post: { scanlines: effects?.crt ? GAME_CONFIG.EFFECTS.SCANLINES : 0 }
+  };
+}
+
+/**
+ * One-line description of the frame for assistive technology,
+ * e.g. "Player 3, AI 5. Sudden death"
+ * @param {object} snapshot - Snapshot from createRenderSnapshot
+ * @returns {string} Description
+ */
+export function describeSnapshot(snapshot) {
+  const { names, hud } = snapshot;
+  const parts = [`${names.left} ${hud.scoreLeft}, ${names.right} ${hud.scoreRight}`];
+  if (hud.matchInfo) parts.push(hud.matchInfo);
+  if (hud.message) parts.push(hud.message.text);
+  else if (hud.servePrompt) parts.push(hud.servePrompt);
+  return parts.join('. ');
+}
@@ -0,0 +1,46 @@
+import { createCanvasRenderer } from './canvasRenderer.js';
+import { createWebGLRenderer } from './webglRenderer.js';
+import { createSvgRenderer } from './svgRenderer.js';
+
+/**
+ * Renderer backends
+ * A renderer draws the game into a DOM element it owns:
+ *   - key: its key in RENDERERS
+ *   - element: the element it draws into; the page shows it and pointer
+ *     input is read from it
+ *   - resize(canvasSize): follow the canvas store {width, height, dpr}
+ *   - render(snapshot): draw one frame from a read-only snapshot (see renderScene.js)
+ *   - destroy(): remove the element and free what the backend holds
+ * Add a backend by writing a factory with that shape and listing it here.
+ */
+export const RENDERERS = {
+  canvas: {
+    name: 'Canvas 2D',
+    create: createCanvasRenderer
+  },
+  webgl: {
+    name: 'WebGL',
+    create: createWebGLRenderer
+  },
+  svg: {
+    name: 'SVG',
+    create: createSvgRenderer
+  }
+};
+
+/**
+ * Create a renderer, falling back to Canvas 2D when the backend is unknown
+ * or the browser cannot run it
+ * @param {string} [key] - Key of RENDERERS
+ * @returns {object} Renderer
+ */
+export function createRenderer(key = 'canvas') {
+  const backend = RENDERERS[key] ?? RENDERERS.canvas;
+  try {
+    return backend.create();
+  } catch (error) {
+    if (backend === RENDERERS.canvas) throw error;
+    console.warn(`${backend.name} renderer unavailable, using Canvas 2D:`, error);
+    return RENDERERS.canvas.create();
+  }
+}
@@ -0,0 +1,321 @@
+import { createSimulation } from './simulation.js';
+import { createAI } from './ai.js';
+import { resolveRules } from './matchRules.js';
+
+/**
+ * Match recording and replay playback
+ * A replay is the seed plus every tick's player inputs and the match actions
+ * (pause, restart, AI changes) in between; feeding it back through the
+ * simulation reproduces the match exactly
+ */
+
+// Version 2 added the serve flag to recorded inputs; version 3 replays are
+// recorded on the fixed playfield, with no resize actions
+export const REPLAY_VERSION = 3;
+
+// Values recorded per human paddle in each input run
+const INPUT_FIELDS = 3;
+
+/**
+ * Create a recorder for a live match
+ * @param {object} options - Match setup
+ * @param {number} options.seed - Simulation seed at the start of the recording
+ * @param {object} options.field - Playfield size {width, height}
+ * @param {string} options.difficulty - AI difficulty key
+ * @param {string} [options.personality] - AI personality key
+ * @param {string} [options.mode] - Game mode ('ai' or 'pvp')
+ * @param {object} [options.rules] - Match rules (see matchRules.js)
+ * @param {boolean} [options.arcade] - Whether power-ups are enabled
+ * @param {boolean} [options.chaos] - Whether every serve launches several balls
+ * @returns {object} Recorder with recordStep/recordAction/getLog
+ */
+export function createReplayRecorder({
+  seed,
+  field,
+  difficulty,
+  personality = 'balanced',
+  mode = 'ai',
+  rules = resolveRules(),
+  arcade = false,
+  chaos = false
+}) {
+  return createRecorder({
+    version: REPLAY_VERSION,
+    createdAt: new Date().toISOString(),
+    seed,
+    field: { width: field.width, height: field.height },
+    difficulty,
+    personality,
+    mode,
+    rules: { ...rules },
+    arcade,
+    chaos,
+    length: 0,
+    // Run-length encoded player input: [count, movement, targetY, serve] per
+    // human paddle (left first), so [count, m, y, s] vs AI and
+    // [count, m, y, s, m, y, s] in pvp
+    inputs: [],
+    // Match actions applied before the given step: [step, type, ...args]
+    actions: []
+  });
+}
+
+/**
+ * Keep recording a match from an earlier recorder's log, e.g. after
+ * restoring a saved match; records a 'resume' action at the current step
+ * @param {object} log - Log from getLog()
+ * @returns {object} Recorder with recordStep/recordAction/getLog
+ */
+export function resumeReplayRecorder(log) {
+  const recorder = createRecorder({
+    ...log,
+    field: { ...log.field },
+    rules: { ...log.rules },
+    inputs: log.inputs.map(run => [...run]),
+    actions: log.actions.map(action => [...action])
+  });
+  recorder.recordAction('resume');
+  return recorder;
+}
+
+/**
+ * Recorder methods around a replay log
+ * @param {object} log - Replay log to append to (mutated)
+ * @returns {object} Recorder with recordStep/recordAction/getLog
+ */
+function createRecorder(log) {
+  const humanSides = getHumanSides(log.mode);
+
+  /**
+   * Record the players' inputs for one simulation step
+   * @param {object} inputs - Per-side inputs {left, right}, each {movement, targetY, serve}
+   */
+  function recordStep(inputs) {
+    const values = humanSides.flatMap(side => [
+      inputs[side]?.movement ?? 0,
+      inputs[side]?.targetY ?? null,
+      inputs[side]?.serve ?? false
+    ]);
+    const last = log.inputs[log.inputs.length - 1];
+
+    if (last && values.every((value, i) => last[i + 1] === value)) {
+      last[0] += 1;
+    } else {
+      log.inputs.push([1, ...values]);
+    }
+    log.length += 1;
+  }
+
+  /**
+   * Record a match action that happens between steps
+   * @param {string} type - 'pause', 'restart' (seed), 'difficulty' (key), 'personality' (key) or 'resume' (the match was
+   *   restored from a snapshot, which starts a fresh AI)
+   * @param {...*} args - Action arguments
+   */
+  function recordAction(type, ...args) {
+    log.actions.push([log.length, type, ...args]);
+  }
+
+  return {
+    recordStep,
+    recordAction,
+    getLog: () => ({
+      ...log,
+      field: { ...log.field },
+      rules: { ...log.rules },
+      inputs: log.inputs.map(run => [...run]),
+      actions: log.actions.map(action => [...action])
+    })
+  };
+}
+
+/**
+ * Paddles driven by recorded input in a mode (the rest are AI-controlled)
+ * @param {string} mode - Game mode
+ * @returns {string[]} Sides with human players
+ */
+function getHumanSides(mode) {
+  return mode === 'pvp' ? ['left', 'right'] : ['left'];
+}
+
+/**
+ * Serialize a replay log for export
+ * @param {object} log - Replay log
+ * @returns {string} JSON text
+ */
+export function serializeReplay(log) {
+  return JSON.stringify(log);
+}
+
+/**
+ * Parse and validate an imported replay
+ * @param {string} text - JSON text
+ * @returns {object} Replay log
+ */
+export function parseReplay(text) {
+  let log;
+  try {
+    log = JSON.parse(text);
+  } catch {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (!log || log.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${log?.version}`);
+  }
+
+  if (!Number.isInteger(log.seed) || !Number.isInteger(log.length) ||
+      !Array.isArray(log.inputs) || !Array.isArray(log.actions) ||
+      typeof log.field?.width !== 'number' || typeof log.field?.height !== 'number') {
+    throw new Error('Replay file is missing required fields');
+  }
+
+  if (typeof log.rules !== 'object' || log.rules === null) {
+    throw new Error('Replay match rules are invalid');
+  }
+
+  const recordedSteps = log.inputs.reduce((total, run) => total + run[0], 0);
+  if (recordedSteps !== log.length) {
+    throw new Error('Replay input log is truncated');
+  }
+
+  return log;
+}
+
+/**
+ * Create a player that reconstructs a recorded match step by step
+ * @param {object} log - Replay log
+ * @returns {object} Player with step/seek and the reconstructed state
+ */
+export function createReplayPlayer(log) {
+  const humanSides = getHumanSides(log.mode);
+  let simulation;
+  let ai;
+  let difficulty;
+  let personality;
+  let position;
+  let runIndex;
+  let runOffset;
+  let actionIndex;
+
+  /**
+   * Rebuild the match from its first step
+   */
+  function rewind() {
+    simulation = createSimulation({
+      width: log.field.width,
+      height: log.field.height,
+      seed: log.seed,
+      rules: log.rules,
+      arcade: log.arcade === true,
+      chaos: log.chaos === true
+    });
+    difficulty = log.difficulty;
+    personality = log.personality;
+    ai = createAI(difficulty, simulation.random, personality);
+    position = 0;
+    runIndex = 0;
+    runOffset = 0;
+    actionIndex = 0;
+    applyActions();
+  }
+
+  /**
+   * Apply the actions recorded before the current step
+   */
+  function applyActions() {
+    while (actionIndex < log.actions.length && log.actions[actionIndex][0] <= position) {
+      const [, type, ...args] = log.actions[actionIndex++];
+
+      switch (type) {
+        case 'pause':
+          simulation.togglePause();
+          break;
+        case 'restart':
+          simulation.resetMatch(args[0]);
+          break;
+        case 'difficulty':
+          difficulty = args[0];
+          ai = createAI(difficulty, simulation.random, personality);
+          break;
+        case 'personality':
+          personality = args[0];
+          ai = createAI(difficulty, simulation.random, personality);
+          break;
+        case 'resume':
+          ai = createAI(difficulty, simulation.random, personality);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Read the next recorded player inputs
+   * @returns {object} Inputs for the human-controlled sides
+   */
+  function nextInputs() {
+    const run = log.inputs[runIndex];
+    const inputs = {};
+    humanSides.forEach((side, i) => {
+      const offset = 1 + i * INPUT_FIELDS;
+      inputs[side] = { movement: run[offset], targetY: run[offset + 1], serve: run[offset + 2] };
+    });
+
+    runOffset += 1;
+    if (runOffset >= run[0]) {
+      runIndex += 1;
+      runOffset = 0;
+    }
+    return inputs;
+  }
+
+  /**
+   * Advance one recorded step
+   * @returns {boolean} False once the end of the replay is reached
+   */
+  function step() {
+    if (position >= log.length) return false;
+
+    const state = simulation.getState();
+    const inputs = nextInputs();
+    if (!inputs.right) {
+      inputs.right = ai.getInput(state, simulation.dt);
+    }
+    simulation.step(inputs);
+    position += 1;
+    applyActions();
+    return true;
+  }
+
+  /**
+   * Jump to a step, re-simulating from the start when going backwards
+   * @param {number} target - Step index (0 to length)
+   */
+  function seek(target) {
+    const clamped = Math.max(0, Math.min(log.length, Math.floor(target)));
+    if (clamped < position) {
+      rewind();
+    }
+    while (position < clamped) {
+      step();
+    }
+  }
+
+  rewind();
+
+  return {
+    step,
+    seek,
+    getState: () => simulation.getState(),
+    get position() {
+      return position;
+    },
+    get length() {
+      return log.length;
+    },
+    get finished() {
+      return position >= log.length;
+    },
+    log
+  };
+}
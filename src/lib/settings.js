@@ -0,0 +1,239 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { AI_DIFFICULTIES, AI_PERSONALITIES } from './ai.js';
+import { MATCH_RULES } from './matchRules.js';
+import { THEMES, validateTheme } from './themes.js';
+import { createDefaultBindings } from './keyBindings.js';
+import { REPLAY_VERSION } from './replay.js';
+import { sanitizeLadderProgress } from './ladder.js';
+import { EFFECT_LEVELS } from './effects.js';
+
+/**
+ * Persistence in localStorage
+ * User settings are stored as a versioned record; older records are upgraded
+ * through MIGRATIONS and anything unusable falls back to the default. A
+ * snapshot of the match in progress is stored separately so it can be
+ * resumed after a reload or after the browser discards the tab, and so is
+ * the player's tournament ladder progress.
+ */
+
+// Version 1 is the first settings schema
+export const SETTINGS_VERSION = 1;
+const SETTINGS_KEY = 'pong-svelte:settings';
+
+// Bump when the simulation state changes shape or meaning; older snapshots
+// are dropped. Version 3: tick counts only the match in progress
+export const SNAPSHOT_VERSION = 3;
+const SNAPSHOT_KEY = 'pong-svelte:match';
+
+const LADDER_KEY = 'pong-svelte:ladder';
+
+/**
+ * Upgrades from one settings version to the next: MIGRATIONS[n] turns a
+ * version n record into a version n + 1 record. Empty until the schema
+ * first changes; fields added since version 1 fall back to their defaults
+ */
+const MIGRATIONS = {};
+
+/**
+ * Settings used when nothing is stored
+ * @returns {object} Settings
+ */
+export function createDefaultSettings() {
+  return {
+    difficulty: 'normal',
+    personality: 'balanced',
+    mode: 'ai',
+    rules: 'classic',
+    arcade: false,
+    chaos: false,
+    theme: 'nord',
+    bindings: createDefaultBindings(),
+    volume: GAME_CONFIG.SOUND.VOLUME,
+    muted: false,
+    effects: 'full'
+  };
+}
+
+/**
+ * Get localStorage, or null where it is unavailable (private mode, SSR)
+ */
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read and parse a stored JSON value
+ */
+function readJSON(storage, key) {
+  try {
+    const text = storage?.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a value as JSON; quota and privacy errors only lose the save
+ */
+function writeJSON(storage, key, value) {
+  try {
+    storage?.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+  }
+}
+
+/**
+ * Keep stored bindings that are lists of key codes, defaults elsewhere
+ */
+function sanitizeBindings(stored) {
+  const defaults = createDefaultBindings();
+  return Object.fromEntries(Object.entries(defaults).map(([group, actions]) => [
+    group,
+    Object.fromEntries(Object.entries(actions).map(([action, codes]) => {
+      const saved = stored?.[group]?.[action];
+      const valid = Array.isArray(saved) && saved.length > 0 && saved.every(code => typeof code === 'string');
+      return [action, valid ? saved : codes];
+    }))
+  ]));
+}
+
+/**
+ * Check a stored value names an entry of a registry (not an inherited
+ * property such as 'toString')
+ */
+function isKeyOf(registry, value) {
+  return typeof value === 'string' && Object.hasOwn(registry, value);
+}
+
+/**
+ * Check a stored theme: a preset key or a custom theme object
+ */
+function isValidTheme(theme) {
+  if (typeof theme === 'string') return isKeyOf(THEMES, theme);
+  try {
+    validateTheme(theme);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Bring a stored settings record up to date and drop invalid values
+ * @param {object} stored - Settings record from storage
+ * @returns {object} Complete, current settings
+ */
+export function migrateSettings(stored) {
+  const defaults = createDefaultSettings();
+  // Anything without a known version was not written by this game
+  if (!stored || typeof stored !== 'object' || !Number.isInteger(stored.version) || stored.version < 1) {
+    return defaults;
+  }
+
+  let version = stored.version;
+  let settings = stored;
+  while (version < SETTINGS_VERSION) {
+    settings = MIGRATIONS[version](settings);
+    version += 1;
+  }
+  // A newer version than this build knows about: keep whatever still validates
+
+  const pick = (key, isValid) => (isValid(settings[key]) ? settings[key] : defaults[key]);
+  return {
+    difficulty: pick('difficulty', value => isKeyOf(AI_DIFFICULTIES, value)),
+    personality: pick('personality', value => isKeyOf(AI_PERSONALITIES, value)),
+    mode: pick('mode', value => isKeyOf(GAME_CONFIG.MODES, value) && !GAME_CONFIG.MODES[value].hidden),
+    rules: pick('rules', value => isKeyOf(MATCH_RULES, value)),
+    arcade: pick('arcade', value => typeof value === 'boolean'),
+    chaos: pick('chaos', value => typeof value === 'boolean'),
+    theme: pick('theme', isValidTheme),
+    bindings: sanitizeBindings(settings.bindings),
+    volume: pick('volume', value => typeof value === 'number' && value >= 0 && value <= 1),
+    muted: pick('muted', value => typeof value === 'boolean'),
+    effects: pick('effects', value => isKeyOf(EFFECT_LEVELS, value))
+  };
+}
+
+/**
+ * Load the user's settings
+ * @param {Storage} [storage] - Storage to read (localStorage by default)
+ * @returns {object} Settings
+ */
+export function loadSettings(storage = getStorage()) {
+  return migrateSettings(readJSON(storage, SETTINGS_KEY));
+}
+
+/**
+ * Save the user's settings
+ * @param {object} settings - Settings (see createDefaultSettings)
+ * @param {Storage} [storage] - Storage to write (localStorage by default)
+ */
+export function saveSettings(settings, storage = getStorage()) {
+  writeJSON(storage, SETTINGS_KEY, { version: SETTINGS_VERSION, ...settings });
+}
+
+/**
+ * Save the match in progress
+ * @param {object} snapshot - {state, log, difficulty, personality, rules, stats, ladderRung}:
+ *   the simulation state, the replay log recorded so far, the user's AI and
+ *   rules settings, the match stats and the rung of a ladder match
+ * @param {Storage} [storage] - Storage to write (localStorage by default)
+ */
+export function saveMatchSnapshot(snapshot, storage = getStorage()) {
+  writeJSON(storage, SNAPSHOT_KEY, {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...snapshot
+  });
+}
+
+/**
+ * Load a saved match, if there is one this build can resume
+ * @param {Storage} [storage] - Storage to read (localStorage by default)
+ * @returns {object|null} Snapshot (see saveMatchSnapshot) or null
+ */
+export function loadMatchSnapshot(storage = getStorage()) {
+  const snapshot = readJSON(storage, SNAPSHOT_KEY);
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return null;
+  if (!snapshot.state?.field || !Array.isArray(snapshot.state.balls)) return null;
+  if (snapshot.log?.version !== REPLAY_VERSION) return null;
+  // Stats are optional: without usable ones the match resumes with fresh stats
+  const stats = Array.isArray(snapshot.stats?.rallies) && Array.isArray(snapshot.stats?.points) ? snapshot.stats : null;
+  return { ...snapshot, stats };
+}
+
+/**
+ * Load the tournament ladder progress
+ * @param {Storage} [storage] - Storage to read (localStorage by default)
+ * @returns {object} Progress (see ladder.js)
+ */
+export function loadLadderProgress(storage = getStorage()) {
+  return sanitizeLadderProgress(readJSON(storage, LADDER_KEY));
+}
+
+/**
+ * Save the tournament ladder progress
+ * @param {object} progress - Progress (see ladder.js)
+ * @param {Storage} [storage] - Storage to write (localStorage by default)
+ */
+export function saveLadderProgress(progress, storage = getStorage()) {
+  writeJSON(storage, LADDER_KEY, progress);
+}
+
+/**
+ * Forget the saved match
+ * @param {Storage} [storage] - Storage to clear (localStorage by default)
+ */
+export function clearMatchSnapshot(storage = getStorage()) {
+  try {
+    storage?.removeItem(SNAPSHOT_KEY);
+  } catch {
+    // Nothing saved then
+  }
+}
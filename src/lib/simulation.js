@@ -0,0 +1,477 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { createRandom, generateSeed } from './random.js';
+import {
+  resolveRules,
+  getGameWinner,
+  getMatchWinner,
+  getNextServer,
+  getFirstServer
+} from './matchRules.js';
+import {
+  createPowerUpState,
+  applyInputEffects,
+  applyPaddleEffects,
+  getBallTimeScale,
+  blockGoal,
+  stepPowerUps
+} from './powerUps.js';
+import {
+  sweepBall,
+  checkScoring,
+  updatePaddlePosition,
+  getPaddleX,
+  clamp
+} from './physics.js';
+
+/**
+ * Match phases
+ * - serving: the ball rests on the server's paddle until they serve or the countdown ends
+ * - rally: the ball is in play
+ * - point-scored: short pause after a point before the next serve
+ * - game-over: the match has been won
+ */
+export const PHASES = {
+  SERVING: 'serving',
+  RALLY: 'rally',
+  POINT_SCORED: 'point-scored',
+  GAME_OVER: 'game-over'
+};
+
+/**
+ * Headless simulation core for the Pong game
+ * Owns the game rules and state without depending on Svelte or the DOM,
+ * so it can be driven from the browser engine, Node scripts or tests
+ */
+
+/**
+ * Calculate paddle height for a given field height
+ * @param {number} fieldHeight - Playfield height
+ * @returns {number} Paddle height
+ */
+export function getPaddleHeight(fieldHeight) {
+  return Math.max(
+    GAME_CONFIG.MIN_PADDLE_HEIGHT,
+    fieldHeight * GAME_CONFIG.PADDLE_HEIGHT_RATIO
+  );
+}
+
+/**
+ * Create both paddles centered vertically
+ * @param {object} field - Playfield size {width, height}
+ * @returns {object} Paddle state {left, right}
+ */
+export function createPaddles(field) {
+  const height = getPaddleHeight(field.height);
+  const y = (field.height - height) / 2;
+
+  return {
+    left: { y, height },
+    right: { y, height }
+  };
+}
+
+/**
+ * Create a ball resting in front of the serving player's paddle
+ * @param {object} field - Playfield size {width, height}
+ * @param {object} paddles - Paddle state {left, right}
+ * @param {string} server - Serving side ('left' or 'right')
+ * @param {number} id - Ball id, unique within the match
+ * @returns {object} Ball state {id, x, y, vx, vy, lastHitter}
+ */
+export function createServeBall(field, paddles, server, id) {
+  const isLeft = server === 'left';
+  const paddle = paddles[server];
+  const paddleX = getPaddleX(isLeft, field.width);
+  const offset = GAME_CONFIG.BALL_SIZE / 2 + 1;
+
+  return {
+    id,
+    x: isLeft ? paddleX + GAME_CONFIG.PADDLE_WIDTH + offset : paddleX - offset,
+    y: paddle.y + paddle.height / 2,
+    vx: 0,
+    vy: 0,
+    // Side that last touched this ball (the server, then each paddle hit)
+    lastHitter: server
+  };
+}
+
+/**
+ * Launch a served ball toward the receiver
+ * @param {object} ball - Ball resting on the server's paddle
+ * @param {string} server - Serving side ('left' or 'right')
+ * @param {function} random - Random number source returning [0, 1)
+ * @returns {object} Ball state {x, y, vx, vy}
+ */
+export function launchServe(ball, server, random) {
+  const angle = random() * GAME_CONFIG.ANGLE_VARIATION - GAME_CONFIG.ANGLE_VARIATION / 2;
+  const speed = GAME_CONFIG.BALL_SPEED_START;
+
+  let vy = Math.sin(angle) * speed;
+
+  // Avoid extreme verticality
+  if (Math.abs(vy) < GAME_CONFIG.MIN_BALL_SPEED_Y_INITIAL) {
+    vy = Math.sign(vy || 1) * GAME_CONFIG.MIN_BALL_SPEED_Y_INITIAL;
+  }
+
+  return {
+    ...ball,
+    vx: Math.cos(angle) * speed * (server === 'left' ? 1 : -1),
+    vy
+  };
+}
+
+/**
+ * Create a fresh match state
+ * @param {object} field - Playfield size {width, height}
+ * @param {function} random - Seeded generator from createRandom()
+ * @param {object} [setup] - Match setup
+ * @param {object} [setup.rules] - Resolved match rules (see matchRules.js)
+ * @param {boolean} [setup.arcade] - Enable power-ups (see powerUps.js)
+ * @param {boolean} [setup.chaos] - Serve several balls at once
+ * @returns {object} Simulation state
+ */
+export function createInitialState(field, random, { rules = resolveRules(), arcade = false, chaos = false } = {}) {
+  const paddles = createPaddles(field);
+  const server = random() < 0.5 ? 'left' : 'right';
+
+  return {
+    // Steps played in this match; resetMatch starts it again from 0
+    tick: 0,
+    seed: random.seed,
+    rules,
+    field: { width: field.width, height: field.height },
+    paddles,
+    // Balls in play; empty between points
+    balls: [createServeBall(field, paddles, server, 1)],
+    nextBallId: 1,
+    chaos,
+    phase: PHASES.SERVING,
+    paused: false,
+    // Who serves the current point, who served first this game, and the
+    // seconds left on the serve countdown or the pause after a point
+    server,
+    firstServer: server,
+    phaseTimer: GAME_CONFIG.SERVE_COUNTDOWN,
+    // Points in the current game
+    scoreLeft: 0,
+    scoreRight: 0,
+    // Games won this match (the set score) and the game being played
+    gamesLeft: 0,
+    gamesRight: 0,
+    gameNumber: 1,
+    // Seconds of rally played in the current game, for timed rules
+    elapsed: 0,
+    ...createPowerUpState(arcade),
+    events: [],
+    rngState: random.getState()
+  };
+}
+
+/**
+ * Move a paddle according to its input for this step
+ * @param {object} paddle - Current paddle state
+ * @param {object} input - Paddle input {movement, targetY}
+ * @param {number} fieldHeight - Playfield height
+ * @param {number} dt - Time step in seconds
+ * @returns {object} New paddle state
+ */
+function applyPaddleInput(paddle, input, fieldHeight, dt) {
+  if (!input) return paddle;
+
+  // Absolute positioning (touch, AI) wins over relative movement
+  if (typeof input.targetY === 'number') {
+    return {
+      ...paddle,
+      y: clamp(input.targetY, 0, fieldHeight - paddle.height)
+    };
+  }
+
+  if (input.movement) {
+    return updatePaddlePosition(paddle, input.movement, GAME_CONFIG.PADDLE_SPEED, fieldHeight, dt);
+  }
+
+  return paddle;
+}
+
+/**
+ * Advance a state by one step. Pure: the input state is not modified.
+ * @param {object} state - Current simulation state
+ * @param {object} inputs - Per-side inputs {left, right}, each {movement, targetY, serve}
+ * @param {object} context - Step context {dt, random}, where random is the
+ *   match's seeded generator; its position is saved as rngState
+ * @returns {object} Next simulation state
+ */
+export function stepState(state, inputs, context) {
+  const { dt, random } = context;
+  const { field } = state;
+
+  if (state.paused || state.phase === PHASES.GAME_OVER) {
+    return { ...state, events: [], rngState: random.getState() };
+  }
+
+  // Move paddles (power-ups may reverse a player's controls)
+  const paddles = {
+    left: applyPaddleInput(state.paddles.left, applyInputEffects(inputs.left, state.paddles.left, 'left', state.effects), field.height, dt),
+    right: applyPaddleInput(state.paddles.right, applyInputEffects(inputs.right, state.paddles.right, 'right', state.effects), field.height, dt)
+  };
+
+  const next = {
+    ...state,
+    tick: state.tick + 1,
+    paddles,
+    events: []
+  };
+
+  switch (state.phase) {
+    case PHASES.SERVING:
+      stepServe(next, inputs[state.server], dt, random);
+      break;
+    case PHASES.RALLY:
+      stepRally(next, dt, random);
+      break;
+    case PHASES.POINT_SCORED:
+      stepPointPause(next, dt);
+      break;
+  }
+
+  // Size paddles for the power-ups active after this step
+  next.paddles = applyPaddleEffects(next.paddles, next.effects, getPaddleHeight(field.height), field.height);
+
+  next.rngState = random.getState();
+  return next;
+}
+
+/**
+ * Serving: the ball follows the server's paddle until they serve or time runs out
+ * @param {object} next - State being built for this step (mutated)
+ * @param {object} [serverInput] - The server's input, {serve: true} to serve now
+ * @param {number} dt - Time step in seconds
+ * @param {function} random - Match random source
+ */
+function stepServe(next, serverInput, dt, random) {
+  const ball = createServeBall(next.field, next.paddles, next.server, next.nextBallId);
+  next.phaseTimer = Math.max(0, next.phaseTimer - dt);
+
+  if (serverInput?.serve || next.phaseTimer === 0) {
+    // Chaos mode sends several balls off at once, each at its own angle
+    const count = next.chaos ? GAME_CONFIG.CHAOS_BALLS : 1;
+    next.balls = Array.from({ length: count }, (_, i) =>
+      launchServe({ ...ball, id: next.nextBallId + i }, next.server, random));
+    next.nextBallId += count;
+    next.phase = PHASES.RALLY;
+    next.phaseTimer = 0;
+    next.events.push({ type: 'serve', side: next.server });
+  } else {
+    next.balls = [ball];
+  }
+}
+
+/**
+ * Move one ball through a rally step, resolving bounces and shields
+ * @param {object} next - State being built for this step (mutated)
+ * @param {object} current - Ball at the start of the step
+ * @param {number} dt - Ball travel time this step in seconds
+ * @returns {object} Ball at the end of the step
+ */
+function moveBall(next, current, dt) {
+  const { field, events } = next;
+
+  // Move ball, resolving wall and paddle bounces along the way
+  const sweep = sweepBall(current, next.paddles, field, dt);
+  let ball = sweep.ball;
+  events.push(...sweep.collisions.map(collision => ({ ...collision, ballId: ball.id })));
+
+  const hits = sweep.collisions.filter(collision => collision.type === 'paddle');
+  if (hits.length) {
+    ball.lastHitter = hits[hits.length - 1].side;
+  }
+
+  // Shields stop the ball before it reaches the goal line
+  for (const side of ['left', 'right']) {
+    const blocked = blockGoal(ball, field, side, next.effects);
+    if (blocked) {
+      ball = blocked.ball;
+      next.effects = next.effects.filter(effect => effect !== blocked.effect);
+      events.push({ type: 'shieldBlock', side, x: ball.x, y: ball.y, ballId: ball.id });
+    }
+  }
+
+  return ball;
+}
+
+/**
+ * Rally: move the balls and settle points, games and the match
+ * Every ball scores on its own; the rally ends when the last ball is out
+ * @param {object} next - State being built for this step (mutated)
+ * @param {number} dt - Time step in seconds
+ * @param {function} random - Match random source
+ */
+function stepRally(next, dt, random) {
+  const { field, rules, events } = next;
+  const ballTime = dt * getBallTimeScale(next.effects);
+  let lastScorer = null;
+
+  next.elapsed += dt;
+
+  const balls = [];
+  for (const current of next.balls) {
+    const ball = moveBall(next, current, ballTime);
+
+    // Check scoring
+    const scorer = checkScoring(ball, field.width);
+    if (!scorer) {
+      balls.push(ball);
+      continue;
+    }
+
+    events.push({ type: 'score', side: scorer, ballId: ball.id });
+    if (scorer === 'left') {
+      next.scoreLeft += 1;
+    } else {
+      next.scoreRight += 1;
+    }
+    lastScorer = scorer;
+  }
+  next.balls = balls;
+
+  if (next.arcade) {
+    stepPowerUps(next, dt, random);
+  }
+
+  // A game ends on a point or when its time runs out with someone ahead
+  const gameWinner = getGameWinner(rules, next.scoreLeft, next.scoreRight, next.elapsed);
+  if (gameWinner) {
+    if (gameWinner === 'left') {
+      next.gamesLeft += 1;
+    } else {
+      next.gamesRight += 1;
+    }
+    events.push({ type: 'gameWon', winner: gameWinner, gamesLeft: next.gamesLeft, gamesRight: next.gamesRight });
+
+    const matchWinner = getMatchWinner(rules, next.gamesLeft, next.gamesRight);
+    if (matchWinner) {
+      next.phase = PHASES.GAME_OVER;
+      next.balls = [];
+      events.push({ type: 'gameOver', winner: matchWinner });
+      return;
+    }
+
+    // Next game of the set
+    next.scoreLeft = 0;
+    next.scoreRight = 0;
+    next.gameNumber += 1;
+    next.elapsed = 0;
+    next.firstServer = getFirstServer(rules, next.firstServer, gameWinner);
+  }
+
+  if (gameWinner || (lastScorer && next.balls.length === 0)) {
+    // Pause, then serve again
+    next.phase = PHASES.POINT_SCORED;
+    next.phaseTimer = GAME_CONFIG.POINT_PAUSE;
+    next.server = getNextServer(rules, next, gameWinner ?? lastScorer);
+    next.balls = [];
+  }
+}
+
+/**
+ * Point scored: wait, then set up the next serve
+ * @param {object} next - State being built for this step (mutated)
+ * @param {number} dt - Time step in seconds
+ */
+function stepPointPause(next, dt) {
+  next.phaseTimer = Math.max(0, next.phaseTimer - dt);
+  if (next.phaseTimer > 0) return;
+
+  next.phase = PHASES.SERVING;
+  next.phaseTimer = GAME_CONFIG.SERVE_COUNTDOWN;
+  next.paddles = createPaddles(next.field);
+  next.balls = [createServeBall(next.field, next.paddles, next.server, next.nextBallId)];
+  next.events.push({ type: 'serveReady', side: next.server });
+}
+
+/**
+ * Create a simulation instance that owns its state
+ * @param {object} [config] - Simulation options
+ * @param {number} [config.width] - Playfield width
+ * @param {number} [config.height] - Playfield height
+ * @param {number} [config.dt] - Fixed time step in seconds
+ * @param {string|object} [config.rules] - Match rules key or object (see matchRules.js)
+ * @param {boolean} [config.arcade] - Enable power-ups
+ * @param {boolean} [config.chaos] - Serve several balls at once
+ * @param {number} [config.seed] - Seed for all match randomness (random if omitted)
+ * @returns {object} Simulation with step/getState and match controls
+ */
+export function createSimulation(config = {}) {
+  const context = {
+    dt: config.dt ?? GAME_CONFIG.FIXED_TIMESTEP,
+    random: createRandom(config.seed ?? generateSeed())
+  };
+
+  let state = createInitialState({
+    width: config.width ?? GAME_CONFIG.FIELD_WIDTH,
+    height: config.height ?? GAME_CONFIG.FIELD_HEIGHT
+  }, context.random, {
+    rules: resolveRules(config.rules),
+    arcade: config.arcade ?? false,
+    chaos: config.chaos ?? false
+  });
+
+  /**
+   * Advance the simulation by one fixed step
+   * @param {object} [inputs] - Per-side inputs {left, right}, each {movement, targetY}
+   * @returns {object} The new state
+   */
+  function step(inputs = {}) {
+    state = stepState(state, inputs, context);
+    return state;
+  }
+
+  /**
+   * Reset scores, paddles and ball for a new match
+   * @param {number} [seed] - Seed for the new match (defaults to the current seed)
+   * @param {object} [setup] - Changes for the new match (defaults to the current setup)
+   * @param {string|object} [setup.rules] - Match rules
+   * @param {boolean} [setup.arcade] - Enable power-ups
+   * @param {boolean} [setup.chaos] - Serve several balls at once
+   */
+  function resetMatch(seed = state.seed, { rules = state.rules, arcade = state.arcade, chaos = state.chaos } = {}) {
+    context.random.reseed(seed);
+    state = createInitialState(state.field, context.random, { rules: resolveRules(rules), arcade, chaos });
+    return state;
+  }
+
+  /**
+   * Replace the state, e.g. to restore a snapshot
+   * @param {object} nextState - State previously returned by this simulation
+   */
+  function setState(nextState) {
+    context.random.reseed(nextState.seed);
+    context.random.setState(nextState.rngState);
+    state = nextState;
+  }
+
+  /**
+   * Toggle pause state (ignored once the match is over)
+   */
+  function togglePause() {
+    if (state.phase !== PHASES.GAME_OVER) {
+      state = { ...state, paused: !state.paused };
+    }
+    return state;
+  }
+
+  return {
+    step,
+    resetMatch,
+    togglePause,
+    setState,
+    getState: () => state,
+    get dt() {
+      return context.dt;
+    },
+    // Shared by anything that must stay deterministic with the match (e.g. the AI)
+    get random() {
+      return context.random;
+    }
+  };
+}
@@ -0,0 +1,213 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { clamp } from './physics.js';
+
+/**
+ * Sound effects synthesized with Web Audio oscillators, so no audio files are
+ * needed. Each sound in SOUNDS is a list of tones played one after another:
+ * {wave, frequency, duration, slideTo?, gain?}. Browsers only allow audio
+ * after a user gesture, so the audio context is created on the first key
+ * press, click or tap.
+ */
+export const SOUNDS = {
+  paddle: [{ wave: 'square', frequency: 440, duration: 0.06 }],
+  wall: [{ wave: 'square', frequency: 220, duration: 0.05, gain: 0.7 }],
+  point: [{ wave: 'triangle', frequency: 330, slideTo: 165, duration: 0.3 }],
+  serve: [{ wave: 'triangle', frequency: 520, duration: 0.05, gain: 0.6 }],
+  win: [
+    { wave: 'square', frequency: 523, duration: 0.12 },
+    { wave: 'square', frequency: 659, duration: 0.12 },
+    { wave: 'square', frequency: 784, duration: 0.12 },
+    { wave: 'square', frequency: 1047, duration: 0.3 }
+  ],
+  lose: [
+    { wave: 'triangle', frequency: 392, duration: 0.18 },
+    { wave: 'triangle', frequency: 330, duration: 0.18 },
+    { wave: 'triangle', frequency: 262, slideTo: 196, duration: 0.45 }
+  ]
+};
+
+// Envelope times in seconds, short enough to avoid clicks without smearing blips
+const ATTACK = 0.005;
+const RELEASE = 0.03;
+
+/**
+ * Pitch multiplier for a paddle hit: 1 at the serve speed, rising to one
+ * octave higher at the top speed
+ * @param {object} ball - Ball after the hit
+ * @returns {number} Frequency multiplier (1-2)
+ */
+export function getHitPitch(ball) {
+  const speed = Math.hypot(ball.vx, ball.vy);
+  const range = GAME_CONFIG.BALL_SPEED_MAX - GAME_CONFIG.BALL_SPEED_START;
+  return 1 + clamp((speed - GAME_CONFIG.BALL_SPEED_START) / range, 0, 1);
+}
+
+/**
+ * Create a sound player
+ * @param {object} [settings] - Initial settings
+ * @param {number} [settings.volume] - Master volume (0-1)
+ * @param {boolean} [settings.muted] - Start muted
+ * @returns {object} Player with attach/detach/play/playEvents and volume controls
+ */
+export function createSoundPlayer({ volume = GAME_CONFIG.SOUND.VOLUME, muted = false } = {}) {
+  let context = null;
+  let master = null;
+
+  /**
+   * Create (or wake up) the audio context; must run inside a user gesture
+   */
+  function unlock() {
+    const AudioContext = typeof window !== 'undefined' ?
+      window.AudioContext ?? window.webkitAudioContext :
+      undefined;
+    if (!AudioContext) return;
+
+    if (!context) {
+      context = new AudioContext();
+      master = context.createGain();
+      master.connect(context.destination);
+      updateMasterGain();
+    }
+    if (context.state === 'suspended') {
+      context.resume();
+    }
+  }
+
+  /**
+   * Apply the volume and mute settings to the master gain
+   */
+  function updateMasterGain() {
+    if (!master) return;
+    master.gain.setValueAtTime(muted ? 0 : volume, context.currentTime);
+  }
+
+  /**
+   * Schedule one tone
+   */
+  function playTone(tone, start, pitch) {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const end = start + tone.duration;
+    const peak = GAME_CONFIG.SOUND.TONE_GAIN * (tone.gain ?? 1);
+
+    oscillator.type = tone.wave;
+    oscillator.frequency.setValueAtTime(tone.frequency * pitch, start);
+    if (tone.slideTo) {
+      oscillator.frequency.exponentialRampToValueAtTime(tone.slideTo * pitch, end);
+    }
+
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(peak, start + ATTACK);
+    gain.gain.setValueAtTime(peak, Math.max(start + ATTACK, end - RELEASE));
+    gain.gain.linearRampToValueAtTime(0, end);
+
+    oscillator.connect(gain);
+    gain.connect(master);
+    oscillator.start(start);
+    oscillator.stop(end);
+  }
+
+  /**
+   * Play a sound from SOUNDS
+   * @param {string} name - Sound name
+   * @param {number} [pitch] - Frequency multiplier
+   */
+  function play(name, pitch = 1) {
+    const tones = SOUNDS[name];
+    if (!tones || !context || context.state !== 'running' || muted) return;
+
+    let start = context.currentTime;
+    for (const tone of tones) {
+      playTone(tone, start, pitch);
+      start += tone.duration;
+    }
+  }
+
+  /**
+   * Play the sounds for one simulation step's events
+   * @param {object[]} events - Events from the step
+   * @param {object} state - Simulation state after the step
+   * @param {string|null} playerSide - Paddle of the player at this screen, if
+   *   the other one is the AI or a remote player; their win plays the losing jingle
+   */
+  function playEvents(events, state, playerSide = null) {
+    // Several balls can bounce in one step; one blip per kind is enough
+    const played = new Set();
+    const once = (name, pitch) => {
+      if (played.has(name)) return;
+      played.add(name);
+      play(name, pitch);
+    };
+
+    for (const event of events) {
+      switch (event.type) {
+        case 'paddle': {
+          const ball = state.balls.find(b => b.id === event.ballId);
+          once('paddle', ball ? getHitPitch(ball) : 1);
+          break;
+        }
+        case 'wall':
+          once('wall');
+          break;
+        case 'serve':
+          once('serve');
+          break;
+        case 'score':
+          once('point');
+          break;
+        case 'gameOver':
+          once(playerSide && event.winner !== playerSide ? 'lose' : 'win');
+          break;
+      }
+    }
+  }
+
+  /**
+   * Set the master volume
+   * @param {number} value - Volume (0-1)
+   */
+  function setVolume(value) {
+    volume = clamp(value, 0, 1);
+    updateMasterGain();
+  }
+
+  /**
+   * Mute or unmute all sounds
+   * @param {boolean} value - Whether sound is muted
+   */
+  function setMuted(value) {
+    muted = value;
+    updateMasterGain();
+  }
+
+  /**
+   * Listen for user gestures to start audio (and wake it if the browser
+   * suspended it in the meantime)
+   */
+  function attach() {
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+  }
+
+  /**
+   * Stop listening and release the audio context
+   */
+  function detach() {
+    window.removeEventListener('pointerdown', unlock);
+    window.removeEventListener('keydown', unlock);
+    context?.close();
+    context = null;
+    master = null;
+  }
+
+  return {
+    attach,
+    detach,
+    unlock,
+    play,
+    playEvents,
+    setVolume,
+    setMuted,
+    getSettings: () => ({ volume, muted })
+  };
+}
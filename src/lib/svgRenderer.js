@@ -0,0 +1,168 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { buildScene, describeSnapshot } from './renderScene.js';
+
+/**
+ * SVG renderer
+ * Draws the scene as SVG elements, so it scales crisply at any size and the
+ * score and messages are real text that assistive technology can read. The
+ * elements are reused from frame to frame and only changed attributes are
+ * written.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// SVG element for each scene shape type
+const TAGS = {
+  rect: 'rect',
+  circle: 'circle',
+  text: 'text'
+};
+
+// Canvas text baselines as SVG dominant-baseline values
+const BASELINES = {
+  top: 'hanging',
+  middle: 'central',
+  alphabetic: 'alphabetic',
+  bottom: 'text-after-edge'
+};
+
+// Canvas text alignment as SVG text-anchor values
+const ANCHORS = {
+  left: 'start',
+  start: 'start',
+  center: 'middle',
+  right: 'end',
+  end: 'end'
+};
+
+/**
+ * Attributes of the SVG element for a scene shape
+ */
+function getAttributes(shape) {
+  switch (shape.type) {
+    case 'rect':
+      return { x: shape.x, y: shape.y, width: shape.width, height: shape.height, fill: shape.color, opacity: shape.opacity ?? 1 };
+    case 'circle':
+      return { cx: shape.x, cy: shape.y, r: shape.radius, fill: shape.color };
+    case 'text':
+      return {
+        x: shape.x,
+        y: shape.y,
+        fill: shape.color,
+        style: `font: ${shape.font}`,
+        'text-anchor': ANCHORS[shape.align] ?? 'start',
+        'dominant-baseline': BASELINES[shape.baseline] ?? 'alphabetic'
+      };
+  }
+  return {};
+}
+
+/**
+ * Write attributes that changed since the last frame
+ */
+function setAttributes(node, attributes) {
+  for (const [name, value] of Object.entries(attributes)) {
+    const text = String(value);
+    if (node.getAttribute(name) !== text) {
+      node.setAttribute(name, text);
+    }
+  }
+}
+
+/**
+ * SVG renderer for accessibility tools and crisp scaling
+ * @returns {object} Renderer {key, element, resize, render, destroy} (see renderers.js)
+ */
+export function createSvgRenderer() {
+  const element = document.createElementNS(SVG_NS, 'svg');
+  element.setAttribute('role', 'img');
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  // Playfield units through the viewport
+  const court = document.createElementNS(SVG_NS, 'g');
+  // CRT filter: a pattern darkening every third pixel row, over everything
+  const defs = document.createElementNS(SVG_NS, 'defs');
+  const pattern = document.createElementNS(SVG_NS, 'pattern');
+  setAttributes(pattern, { id: 'pong-scanlines', width: 1, height: 3, patternUnits: 'userSpaceOnUse' });
+  const line = document.createElementNS(SVG_NS, 'rect');
+  setAttributes(line, { width: 1, height: 1, fill: '#000' });
+  pattern.append(line);
+  defs.append(pattern);
+  const scanlines = document.createElementNS(SVG_NS, 'rect');
+  setAttributes(scanlines, { width: '100%', height: '100%', fill: 'url(#pong-scanlines)', 'pointer-events': 'none' });
+  element.append(defs, background, court, scanlines);
+
+  let label = '';
+
+  /**
+   * Size the element to the canvas store (SVG needs no pixel ratio)
+   * @param {object} canvasSize - {width, height, dpr}
+   */
+  function resize({ width, height }) {
+    element.setAttribute('width', width);
+    element.setAttribute('height', height);
+    element.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    element.style.width = width + 'px';
+  }
+
+  /**
+   * Draw one frame
+   * @param {object} snapshot - Snapshot from createRenderSnapshot
+   */
+  function render(snapshot) {
+    const scene = buildScene(snapshot);
+    const { scale, offsetX, offsetY } = snapshot.viewport;
+
+    setAttributes(background, { fill: scene.background });
+    setAttributes(court, { transform: `translate(${offsetX} ${offsetY}) scale(${scale})` });
+
+    // Reuse the element at each position when it has the right tag
+    const nodes = court.children;
+    scene.shapes.forEach((shape, index) => {
+      let node = nodes[index];
+      if (!node || node.localName !== TAGS[shape.type]) {
+        const created = document.createElementNS(SVG_NS, TAGS[shape.type]);
+        if (node) {
+          node.replaceWith(created);
+        } else {
+          court.append(created);
+        }
+        node = created;
+      }
+      setAttributes(node, getAttributes(shape));
+      if (shape.type === 'text' && node.textContent !== shape.text) {
+        node.textContent = shape.text;
+      }
+    });
+    while (nodes.length > scene.shapes.length) {
+      court.lastElementChild.remove();
+    }
+
+    setAttributes(scanlines, {
+      opacity: scene.post.scanlines,
+      visibility: scene.post.scanlines > 0 ? 'visible' : 'hidden'
+    });
+
+    const nextLabel = describeSnapshot(snapshot);
+    if (nextLabel !== label) {
+      label = nextLabel;
+      element.setAttribute('aria-label', label);
+    }
+  }
+
+  function destroy() {
+    element.remove();
+  }
+
+  resize({ width: GAME_CONFIG.DEFAULT_WIDTH, height: GAME_CONFIG.DEFAULT_HEIGHT, dpr: 1 });
+
+  return {
+    key: 'svg',
+    element,
+    resize,
+    render,
+    destroy
+  };
+}
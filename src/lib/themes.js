@@ -0,0 +1,254 @@
+/**
+ * Themes
+ * A theme colors both the canvas and the page around it. The canvas reads the
+ * resolved theme directly; the rest of the UI reads the same colors through
+ * CSS custom properties (--theme-background, --theme-page-background, ...)
+ * that applyTheme sets on the document.
+ */
+
+/**
+ * Preset themes
+ * Canvas colors: background, net, paddle, ball, score, pauseText, winText,
+ * matchInfo, suddenDeath.
+ * Page colors: pageBackground (any CSS background), title, text, control,
+ * controlBorder, option (dropdown list background), key (keyboard hint
+ * background), keyBorder, warning, danger, shadow.
+ * font is the font family used by the canvas text and the page.
+ */
+export const THEMES = {
+  nord: {
+    name: 'Nord',
+    font: 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif',
+    colors: {
+      background: '#0c0f13',
+      net: '#2e3440',
+      paddle: '#e5e9f0',
+      ball: '#e5e9f0',
+      score: '#e5e9f0',
+      pauseText: '#d8dee9',
+      winText: '#a3be8c',
+      matchInfo: '#81a1c1',
+      suddenDeath: '#bf616a',
+      pageBackground: 'linear-gradient(135deg, #1e3a8a 0%, #1e40af 100%)',
+      title: '#ffffff',
+      text: '#cbd5e1',
+      control: 'rgba(255, 255, 255, 0.1)',
+      controlBorder: 'rgba(255, 255, 255, 0.3)',
+      option: '#1e3a8a',
+      key: '#111827',
+      keyBorder: '#1f2937',
+      warning: '#fbbf24',
+      danger: '#ef4444',
+      shadow: 'rgba(0, 0, 0, 0.35)'
+    }
+  },
+  classic: {
+    name: 'Classic',
+    font: '"Courier New", Courier, monospace',
+    colors: {
+      background: '#000000',
+      net: '#ffffff',
+      paddle: '#ffffff',
+      ball: '#ffffff',
+      score: '#ffffff',
+      pauseText: '#ffffff',
+      winText: '#ffffff',
+      matchInfo: '#bbbbbb',
+      suddenDeath: '#ffffff',
+      pageBackground: '#111111',
+      title: '#ffffff',
+      text: '#dddddd',
+      control: '#000000',
+      controlBorder: '#ffffff',
+      option: '#000000',
+      key: '#000000',
+      keyBorder: '#888888',
+      warning: '#ffffff',
+      danger: '#ffffff',
+      shadow: 'rgba(0, 0, 0, 0.6)'
+    }
+  },
+  neon: {
+    name: 'Neon',
+    font: 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif',
+    colors: {
+      background: '#0a0014',
+      net: '#7b2cbf',
+      paddle: '#00f5d4',
+      ball: '#f72585',
+      score: '#fee440',
+      pauseText: '#00f5d4',
+      winText: '#fee440',
+      matchInfo: '#9b5de5',
+      suddenDeath: '#f72585',
+      pageBackground: 'radial-gradient(circle at top, #3c096c 0%, #10002b 70%)',
+      title: '#f72585',
+      text: '#e0aaff',
+      control: 'rgba(157, 78, 221, 0.15)',
+      controlBorder: '#9d4edd',
+      option: '#240046',
+      key: '#10002b',
+      keyBorder: '#9d4edd',
+      warning: '#fee440',
+      danger: '#f72585',
+      shadow: 'rgba(247, 37, 133, 0.35)'
+    }
+  },
+  gameBoy: {
+    name: 'Game Boy',
+    font: '"Courier New", Courier, monospace',
+    colors: {
+      background: '#9bbc0f',
+      net: '#306230',
+      paddle: '#0f380f',
+      ball: '#0f380f',
+      score: '#0f380f',
+      pauseText: '#0f380f',
+      winText: '#0f380f',
+      matchInfo: '#306230',
+      suddenDeath: '#0f380f',
+      pageBackground: '#8bac0f',
+      title: '#0f380f',
+      text: '#0f380f',
+      control: '#9bbc0f',
+      controlBorder: '#306230',
+      option: '#9bbc0f',
+      key: '#9bbc0f',
+      keyBorder: '#306230',
+      warning: '#306230',
+      danger: '#0f380f',
+      shadow: 'rgba(15, 56, 15, 0.4)'
+    }
+  },
+  highContrast: {
+    name: 'High Contrast',
+    font: 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif',
+    colors: {
+      background: '#000000',
+      net: '#ffffff',
+      paddle: '#ffff00',
+      ball: '#ffffff',
+      score: '#ffffff',
+      pauseText: '#ffff00',
+      winText: '#00ff00',
+      matchInfo: '#00ffff',
+      suddenDeath: '#ff4040',
+      pageBackground: '#000000',
+      title: '#ffff00',
+      text: '#ffffff',
+      control: '#000000',
+      controlBorder: '#ffffff',
+      option: '#000000',
+      key: '#000000',
+      keyBorder: '#ffffff',
+      warning: '#ffff00',
+      danger: '#ff4040',
+      shadow: 'none'
+    }
+  }
+};
+
+// Canvas fonts: weight and size, combined with the theme's font family
+const FONT_STYLES = {
+  score: 'bold 42px',
+  matchInfo: '600 14px',
+  pause: 'bold 22px',
+  gameOver: 'bold 26px'
+};
+
+/**
+ * Fill in a theme key or a (possibly partial) theme object
+ * Custom themes may name a preset to start from in `base` (default nord) and
+ * only override some colors
+ * @param {string|object} theme - Key of THEMES or theme object
+ * @returns {object} Complete theme {key, name, font, colors, fonts}
+ */
+export function resolveTheme(theme = 'nord') {
+  if (typeof theme === 'string') {
+    theme = THEMES[theme] ? { ...THEMES[theme], key: theme } : { ...THEMES.nord, key: 'nord' };
+  }
+  const base = THEMES[theme.base] ?? THEMES.nord;
+  const font = theme.font ?? base.font;
+
+  return {
+    key: theme.key ?? 'custom',
+    name: theme.name ?? base.name,
+    font,
+    colors: { ...base.colors, ...theme.colors },
+    fonts: Object.fromEntries(
+      Object.entries(FONT_STYLES).map(([name, style]) => [name, `${style} ${font}`])
+    )
+  };
+}
+
+/**
+ * Check that an object is a usable custom theme
+ * @param {*} theme - Candidate theme, e.g. parsed JSON
+ * @throws {Error} If it is not a valid theme
+ */
+export function validateTheme(theme) {
+  if (typeof theme !== 'object' || theme === null || Array.isArray(theme)) {
+    throw new Error('Theme must be a JSON object');
+  }
+
+  if (theme.base !== undefined && !THEMES[theme.base]) {
+    throw new Error(`Unknown base theme: ${theme.base}`);
+  }
+
+  const colors = theme.colors ?? {};
+  const knownColors = Object.keys(THEMES.nord.colors);
+  for (const [name, value] of Object.entries(colors)) {
+    if (!knownColors.includes(name)) {
+      throw new Error(`Unknown theme color: ${name}`);
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`Theme color ${name} must be a string`);
+    }
+  }
+
+  if (theme.font !== undefined && typeof theme.font !== 'string') {
+    throw new Error('Theme font must be a string');
+  }
+}
+
+/**
+ * Read a custom theme from JSON, e.g.
+ * {"name": "Sunset", "base": "neon", "colors": {"background": "#2b1d3a"}}
+ * @param {string} text - JSON text
+ * @returns {object} Resolved theme
+ * @throws {Error} If the JSON is not a valid theme
+ */
+export function parseTheme(text) {
+  let theme;
+  try {
+    theme = JSON.parse(text);
+  } catch {
+    throw new Error('Theme file is not valid JSON');
+  }
+
+  validateTheme(theme);
+  return resolveTheme({ ...theme, key: 'custom', name: typeof theme.name === 'string' ? theme.name : 'Custom' });
+}
+
+/**
+ * Export a theme as JSON that parseTheme can read back
+ * @param {object} theme - Resolved theme
+ * @returns {string} JSON text
+ */
+export function serializeTheme(theme) {
+  return JSON.stringify({ name: theme.name, font: theme.font, colors: theme.colors }, null, 2);
+}
+
+/**
+ * Set a theme's CSS custom properties on an element
+ * Each color becomes --theme-<kebab-case name> and the font --theme-font
+ * @param {object} theme - Resolved theme
+ * @param {HTMLElement} [element] - Element to style (the document root by default)
+ */
+export function applyTheme(theme, element = document.documentElement) {
+  for (const [name, value] of Object.entries(theme.colors)) {
+    const property = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    element.style.setProperty(`--theme-${property}`, value);
+  }
+  element.style.setProperty('--theme-font', theme.font);
+}
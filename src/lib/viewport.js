@@ -0,0 +1,59 @@
+import { GAME_CONFIG } from './gameConfig.js';
+
+/**
+ * Viewport
+ * The game runs on a fixed logical playfield (GAME_CONFIG.FIELD_WIDTH by
+ * FIELD_HEIGHT units). The viewport is the one transform between it and the
+ * canvas: drawing goes through it one way and pointer input the other, so
+ * resizing the window or moving to a screen with another pixel ratio scales
+ * the view without changing the game.
+ */
+
+/**
+ * Size of the logical playfield
+ * @returns {object} Playfield size {width, height}
+ */
+export function createField() {
+  return {
+    width: GAME_CONFIG.FIELD_WIDTH,
+    height: GAME_CONFIG.FIELD_HEIGHT
+  };
+}
+
+/**
+ * Fit a playfield into a canvas, as large as it goes without distorting it,
+ * centered with bars on the sides that are left over
+ * @param {object} canvasSize - Canvas size in CSS pixels {width, height, dpr}
+ * @param {object} [field] - Playfield size {width, height}
+ * @returns {object} Viewport {scale, offsetX, offsetY, dpr}: CSS pixels per
+ *   playfield unit and where the playfield's top-left corner sits
+ */
+export function createViewport(canvasSize, field = createField()) {
+  const scale = Math.min(canvasSize.width / field.width, canvasSize.height / field.height);
+  return {
+    scale,
+    offsetX: (canvasSize.width - field.width * scale) / 2,
+    offsetY: (canvasSize.height - field.height * scale) / 2,
+    dpr: canvasSize.dpr ?? 1
+  };
+}
+
+/**
+ * Set a 2D context up to draw in playfield units on a canvas sized width * dpr
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {object} viewport - Viewport from createViewport
+ */
+export function applyViewport(context, viewport) {
+  const { scale, offsetX, offsetY, dpr } = viewport;
+  context.setTransform(dpr * scale, 0, 0, dpr * scale, dpr * offsetX, dpr * offsetY);
+}
+
+/**
+ * Map a distance on the canvas, e.g. a drag, to playfield units
+ * @param {object} viewport - Viewport from createViewport
+ * @param {number} distance - Distance in CSS pixels
+ * @returns {number} Distance in playfield units
+ */
+export function toFieldDistance(viewport, distance) {
+  return distance / viewport.scale;
+}
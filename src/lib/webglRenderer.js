@@ -0,0 +1,296 @@
+import { GAME_CONFIG } from './gameConfig.js';
+import { buildScene } from './renderScene.js';
+import { applyViewport } from './viewport.js';
+
+/**
+ * WebGL renderer
+ * Shapes are batched into one triangle list per frame and drawn by a shader
+ * that can add the CRT filter's scanlines. WebGL has no text, so text is drawn with a
+ * 2D canvas off screen and laid over the court as a texture, redrawn only
+ * when the text changes.
+ */
+
+// Triangles per pickup circle
+const CIRCLE_SEGMENTS = 16;
+
+// Floats per vertex: x, y (playfield units), r, g, b, a
+const VERTEX_SIZE = 6;
+
+const SHAPE_VERTEX_SHADER = `
+  attribute vec2 a_position;
+  attribute vec4 a_color;
+  uniform vec4 u_view;
+  varying vec4 v_color;
+
+  void main() {
+    v_color = a_color;
+    gl_Position = vec4(a_position * u_view.xy + u_view.zw, 0.0, 1.0);
+  }
+`;
+
+const SHAPE_FRAGMENT_SHADER = `
+  precision mediump float;
+  uniform float u_scanlines;
+  uniform float u_pixelRatio;
+  varying vec4 v_color;
+
+  void main() {
+    float line = mod(floor(gl_FragCoord.y / u_pixelRatio), 3.0) == 0.0 ? 1.0 - u_scanlines : 1.0;
+    gl_FragColor = vec4(v_color.rgb * line * v_color.a, v_color.a);
+  }
+`;
+
+const TEXT_VERTEX_SHADER = `
+  attribute vec2 a_position;
+  varying vec2 v_uv;
+
+  void main() {
+    // The text canvas's top row is the texture's first row
+    v_uv = vec2(a_position.x * 0.5 + 0.5, 0.5 - a_position.y * 0.5);
+    gl_Position = vec4(a_position, 0.0, 1.0);
+  }
+`;
+
+const TEXT_FRAGMENT_SHADER = `
+  precision mediump float;
+  uniform sampler2D u_texture;
+  varying vec2 v_uv;
+
+  void main() {
+    gl_FragColor = texture2D(u_texture, v_uv);
+  }
+`;
+
+/**
+ * Compile and link a shader program
+ */
+function createProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+    }
+    gl.attachShader(program, shader);
+    gl.deleteShader(shader);
+  }
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Shader program failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+}
+
+/**
+ * WebGL renderer for shader effects
+ * @returns {object} Renderer {key, element, resize, render, destroy} (see renderers.js)
+ * @throws {Error} If the browser has no WebGL
+ */
+export function createWebGLRenderer() {
+  const element = document.createElement('canvas');
+  const gl = element.getContext('webgl', { premultipliedAlpha: true });
+  if (!gl) {
+    throw new Error('WebGL is not available');
+  }
+
+  const textCanvas = document.createElement('canvas');
+  const textContext = textCanvas.getContext('2d');
+  // Resolves any CSS color to rgba numbers
+  const colorContext = document.createElement('canvas').getContext('2d');
+  const colors = new Map();
+
+  const shapeProgram = createProgram(gl, SHAPE_VERTEX_SHADER, SHAPE_FRAGMENT_SHADER);
+  const shapeLocations = {
+    position: gl.getAttribLocation(shapeProgram, 'a_position'),
+    color: gl.getAttribLocation(shapeProgram, 'a_color'),
+    view: gl.getUniformLocation(shapeProgram, 'u_view'),
+    scanlines: gl.getUniformLocation(shapeProgram, 'u_scanlines'),
+    pixelRatio: gl.getUniformLocation(shapeProgram, 'u_pixelRatio')
+  };
+  const textProgram = createProgram(gl, TEXT_VERTEX_SHADER, TEXT_FRAGMENT_SHADER);
+  const textLocations = {
+    position: gl.getAttribLocation(textProgram, 'a_position'),
+    texture: gl.getUniformLocation(textProgram, 'u_texture')
+  };
+
+  const shapeBuffer = gl.createBuffer();
+  const quadBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+  const textTexture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, textTexture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+  let vertices = new Float32Array(1024 * VERTEX_SIZE);
+  let textKey = null;
+
+  /**
+   * Any CSS color as [r, g, b, a] from 0 to 1
+   */
+  function parseColor(color) {
+    if (!colors.has(color)) {
+      colorContext.clearRect(0, 0, 1, 1);
+      // An invalid color leaves black in place
+      colorContext.fillStyle = '#000';
+      colorContext.fillStyle = color;
+      colorContext.fillRect(0, 0, 1, 1);
+      const [r, g, b, a] = colorContext.getImageData(0, 0, 1, 1).data;
+      colors.set(color, [r / 255, g / 255, b / 255, a / 255]);
+    }
+    return colors.get(color);
+  }
+
+  /**
+   * Size both pixel buffers to the canvas store (CSS pixels times DPR)
+   * @param {object} canvasSize - {width, height, dpr}
+   */
+  function resize({ width, height, dpr }) {
+    element.width = textCanvas.width = Math.floor(width * dpr);
+    element.height = textCanvas.height = Math.floor(height * dpr);
+    // The CSS height follows the width, so the view keeps its shape if max-width squeezes it
+    element.style.width = width + 'px';
+    textKey = null;
+  }
+
+  /**
+   * Append the triangles for the scene's rects and circles
+   * @returns {number} Vertex count
+   */
+  function fillVertices(shapes) {
+    let count = 0;
+    const push = (x, y, [r, g, b, a], opacity) => {
+      if ((count + 1) * VERTEX_SIZE > vertices.length) {
+        const grown = new Float32Array(vertices.length * 2);
+        grown.set(vertices);
+        vertices = grown;
+      }
+      vertices.set([x, y, r, g, b, a * opacity], count * VERTEX_SIZE);
+      count += 1;
+    };
+
+    for (const shape of shapes) {
+      if (shape.type === 'rect') {
+        const color = parseColor(shape.color);
+        const opacity = shape.opacity ?? 1;
+        const right = shape.x + shape.width;
+        const bottom = shape.y + shape.height;
+        push(shape.x, shape.y, color, opacity);
+        push(right, shape.y, color, opacity);
+        push(shape.x, bottom, color, opacity);
+        push(shape.x, bottom, color, opacity);
+        push(right, shape.y, color, opacity);
+        push(right, bottom, color, opacity);
+      } else if (shape.type === 'circle') {
+        const color = parseColor(shape.color);
+        for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+          const from = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+          const to = ((i + 1) / CIRCLE_SEGMENTS) * Math.PI * 2;
+          push(shape.x, shape.y, color, 1);
+          push(shape.x + Math.cos(from) * shape.radius, shape.y + Math.sin(from) * shape.radius, color, 1);
+          push(shape.x + Math.cos(to) * shape.radius, shape.y + Math.sin(to) * shape.radius, color, 1);
+        }
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Redraw the text layer when the text or the view changed
+   */
+  function updateText(texts, viewport) {
+    const key = JSON.stringify([texts, viewport]);
+    if (key === textKey) return;
+    textKey = key;
+
+    textContext.setTransform(1, 0, 0, 1, 0, 0);
+    textContext.clearRect(0, 0, textCanvas.width, textCanvas.height);
+    applyViewport(textContext, viewport);
+    for (const text of texts) {
+      textContext.font = text.font;
+      textContext.fillStyle = text.color;
+      textContext.textAlign = text.align;
+      textContext.textBaseline = text.baseline;
+      textContext.fillText(text.text, text.x, text.y);
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, textTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, textCanvas);
+  }
+
+  /**
+   * Draw one frame
+   * @param {object} snapshot - Snapshot from createRenderSnapshot
+   */
+  function render(snapshot) {
+    const scene = buildScene(snapshot);
+    const { scale, offsetX, offsetY, dpr } = snapshot.viewport;
+    const { width, height } = element;
+
+    gl.viewport(0, 0, width, height);
+    const [r, g, b] = parseColor(scene.background);
+    gl.clearColor(r, g, b, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    // Shapes: playfield units to clip space through the viewport
+    const count = fillVertices(scene.shapes);
+    gl.useProgram(shapeProgram);
+    gl.uniform4f(
+      shapeLocations.view,
+      (2 * scale * dpr) / width,
+      (-2 * scale * dpr) / height,
+      (2 * offsetX * dpr) / width - 1,
+      1 - (2 * offsetY * dpr) / height
+    );
+    gl.uniform1f(shapeLocations.scanlines, scene.post.scanlines);
+    gl.uniform1f(shapeLocations.pixelRatio, dpr);
+    gl.bindBuffer(gl.ARRAY_BUFFER, shapeBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, vertices.subarray(0, count * VERTEX_SIZE), gl.DYNAMIC_DRAW);
+    const stride = VERTEX_SIZE * Float32Array.BYTES_PER_ELEMENT;
+    gl.enableVertexAttribArray(shapeLocations.position);
+    gl.vertexAttribPointer(shapeLocations.position, 2, gl.FLOAT, false, stride, 0);
+    gl.enableVertexAttribArray(shapeLocations.color);
+    gl.vertexAttribPointer(shapeLocations.color, 4, gl.FLOAT, false, stride, 2 * Float32Array.BYTES_PER_ELEMENT);
+    gl.drawArrays(gl.TRIANGLES, 0, count);
+    gl.disableVertexAttribArray(shapeLocations.color);
+
+    // Text layer over the whole canvas
+    updateText(scene.shapes.filter(shape => shape.type === 'text'), snapshot.viewport);
+    gl.useProgram(textProgram);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, textTexture);
+    gl.uniform1i(textLocations.texture, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+    gl.enableVertexAttribArray(textLocations.position);
+    gl.vertexAttribPointer(textLocations.position, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
+  function destroy() {
+    gl.deleteBuffer(shapeBuffer);
+    gl.deleteBuffer(quadBuffer);
+    gl.deleteTexture(textTexture);
+    gl.deleteProgram(shapeProgram);
+    gl.deleteProgram(textProgram);
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    element.remove();
+  }
+
+  resize({ width: GAME_CONFIG.DEFAULT_WIDTH, height: GAME_CONFIG.DEFAULT_HEIGHT, dpr: 1 });
+
+  return {
+    key: 'webgl',
+    element,
+    resize,
+    render,
+    destroy
+  };
+}